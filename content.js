@@ -66,21 +66,6 @@ function loadSqueezeScoreModule() {
   return squeezeScoreModulePromise;
 }
 
-function parsePercentNumber(value) {
-  if (value === null || value === undefined) return NaN;
-  if (typeof value === 'number') {
-    return Number.isFinite(value) ? value : NaN;
-  }
-  const text = String(value).trim();
-  if (!text) return NaN;
-  const match = text.replace(/,/g, '').match(/([+-]?\d+(?:\.\d+)?)/);
-  if (!match) return NaN;
-  const num = parseFloat(match[1]);
-  if (!Number.isFinite(num)) return NaN;
-  if (text.includes('%')) return num;
-  return num > 1 ? num : num * 100;
-}
-
 function cancelHideTimer() {
   if (hideTimeout) {
     clearTimeout(hideTimeout);
@@ -126,17 +111,25 @@ function ensureTooltip() {
               <div class="shi-row"><span>Shares Outstanding:</span><span class="shi-shares-outstanding">—</span></div>
               <div class="shi-row"><span>Options Trading:</span><span class="shi-options-enabled">—</span></div>
               <div class="shi-row"><span>Reg SHO Threshold:</span><span class="shi-regsho-threshold">—</span></div>
+              <div class="shi-row"><span>Reg SHO Streak:</span><span class="shi-regsho-streak">—</span></div>
             </div>
             <div class="shi-section shi-short-info">
               <div class="shi-row"><span>Short Interest:</span><span class="shi-short-interest">—</span></div>
               <div class="shi-row"><span>Short Interest Ratio:</span><span class="shi-short-interest-ratio">—</span></div>
+              <div class="shi-row"><span>Short Interest Prior:</span><span class="shi-short-interest-prior">—</span></div>
               <div class="shi-row"><span>Short Float %:</span><span class="shi-short-interest-percent-float">—</span></div>
               <div class="shi-row"><span>Cost To Borrow:</span><span class="shi-cost-to-borrow">—</span></div>
               <div class="shi-row"><span>Squeeze Score:</span><span class="shi-squeeze-score">—</span></div>
+              <details class="shi-score-explain" hidden><summary>Why this score?</summary><div class="shi-score-explain-body"></div></details>
+              <div class="shi-row"><span>Score Trend (30d):</span><span class="shi-score-trend">—</span></div>
+              <div class="shi-row"><span>Score Rank:</span><span class="shi-score-rank">—</span></div>
+              <div class="shi-row"><span>Score Range:</span><span class="shi-score-range">—</span></div>
               <div class="shi-row"><span>Short Shares Available:</span><span class="shi-short-shares-available">—</span></div>
               <div class="shi-row"><span>Short-Exempt Volume:</span><span class="shi-finra-exempt-volume">—</span></div>
+              <div class="shi-row"><span>Short Volume Ratio:</span><span class="shi-short-volume-ratio">—</span></div>
               <div class="shi-row"><span>Failure To Deliver (FTDs):</span><span class="shi-failure-to-deliver">—</span></div>
               <div class="shi-row"><span>Reg SHO Min FTDs:</span><span class="shi-regsho-min-ftds">—</span></div>
+              <div class="shi-row"><span>Reg SHO Forecast:</span><span class="shi-regsho-forecast">—</span></div>
             </div>
             <div class="shi-section shi-financial-info">
               <div class="shi-row"><span>Market Cap:</span><span class="shi-market-cap">—</span></div>
@@ -432,6 +425,31 @@ function formatDaysValue(value) {
   return `${stripTrailingZeros(num.toFixed(2))} days`;
 }
 
+// Prior FINRA period with the change to the current one, stamped with the settlement date
+function formatShortInterestPrior(data) {
+  const previous = Number(data?.shortInterestPrevious);
+  if (data?.shortInterestPrevious == null || !Number.isFinite(previous)) return 'N/A';
+  const current = parseSharesValue(data?.shortInterest);
+  const change = Number.isFinite(current) && previous > 0
+    ? ` (${current >= previous ? '+' : ''}${stripTrailingZeros((((current - previous) / previous) * 100).toFixed(1))}%)`
+    : '';
+  const settled = data?.shortInterestSettlementDate ? ` · settled ${data.shortInterestSettlementDate}` : '';
+  return `${Math.round(previous).toLocaleString()}${change}${settled}`;
+}
+
+// Latest daily short volume ratio with its average over the available history
+function formatShortVolumeRatio(data) {
+  const latest = Number(data?.shortVolumeRatio);
+  if (data?.shortVolumeRatio == null || !Number.isFinite(latest)) return 'N/A';
+  const ratios = (Array.isArray(data?.shortVolumeHistory) ? data.shortVolumeHistory : [])
+    .map(day => day?.ratio)
+    .filter(Number.isFinite);
+  const avg = ratios.length > 1
+    ? ` (${ratios.length}d avg ${stripTrailingZeros((ratios.reduce((a, b) => a + b, 0) / ratios.length).toFixed(1))}%)`
+    : '';
+  return `${stripTrailingZeros(latest.toFixed(1))}%${avg}`;
+}
+
 function formatOptionsTrading(value) {
   if (value === true) return 'Yes';
   if (value === false) return 'No';
@@ -491,6 +509,7 @@ function renderFintelTables(container, data) {
   const configs = [
     { key: 'shortBorrowRateTable', title: 'Cost To Borrow', maxRows: 5 },
     { key: 'failsToDeliverTable', title: 'Failure To Deliver (FTDs)', maxRows: 5 },
+    { key: 'shortSaleVolumeFinraTable', title: 'Short Sale Volume (FINRA)', maxRows: 5 },
     { key: 'shortSharesAvailabilityTable', title: 'Short Shares Available', maxRows: 3, preferredColumns: ['timeSinceLastChange', 'shortSharesAvailability'] }
   ];
 
@@ -501,6 +520,11 @@ function renderFintelTables(container, data) {
     if (!rows || !rows.length) return;
     const card = buildMiniTableCard(cfg.title, rows, cfg.maxRows || 5, cfg.preferredColumns || []);
     if (card) {
+      const heading = card.querySelector('.shi-table-title');
+      const stale = data?.staleFields?.[cfg.key];
+      heading.classList.toggle('shi-stale', !!stale);
+      const lines = [...describeStaleness(stale, data?.staleInputsScored), ...describeProvenance(data?.provenance?.[cfg.key])];
+      if (lines.length) heading.title = lines.join('\n');
       container.appendChild(card);
       hasContent = true;
     }
@@ -560,50 +584,46 @@ function updateSqueezeScoreDisplay(root, data, symbol) {
   const target = root?.querySelector('.shi-squeeze-score');
   if (!target) return;
 
+  renderScoreExplanation(root, null);
+  renderScoreRange(root, null);
+
   if (!data || !symbol) {
     target.textContent = 'N/A';
     return;
   }
 
-  loadSqueezeScoreModule().then(module => {
+  loadSqueezeScoreModule().then(async module => {
     if (symbol !== lastSymbol) return;
     if (!module || typeof module.scoreConsensus !== 'function') {
       target.textContent = 'N/A';
       return;
     }
+    const profile = typeof module.loadActiveProfile === 'function'
+      ? await module.loadActiveProfile()
+      : null;
 
-    const floatShares = parseSharesValue(data.float);
-    const siPctDirect = parsePercentNumber(data.shortInterestPercentFloat);
-    const costToBorrowPct = parsePercentNumber(data.costToBorrow);
-    const ftdValue = parseSharesValue(data.failureToDeliver);
-    const regShoShares = parseSharesValue(data.regShoMinFtds);
-    const regshoFlag = Number.isFinite(regShoShares) && regShoShares > 0;
-
-    let siPct = siPctDirect;
-    if (!Number.isFinite(siPct)) {
-      const computed = computeShortFloatPercent(data.shortInterest, data.float);
-      siPct = parsePercentNumber(computed);
-    }
-
-    if (!Number.isFinite(floatShares) || floatShares <= 0 || !Number.isFinite(siPct)) {
+    const payload = typeof module.scoreInputsFromPack === 'function' ? module.scoreInputsFromPack(data, profile || undefined) : null;
+    if (!payload) {
       target.textContent = 'N/A';
       return;
     }
 
-    const payload = {
-      float_shares: floatShares,
-      si_pct: Number.isFinite(siPct) ? siPct : 0,
-      ctb: Number.isFinite(costToBorrowPct) ? costToBorrowPct : 0,
-      ftd_val: Number.isFinite(ftdValue) ? ftdValue : 0,
-      regsho: !!regshoFlag,
-    };
-
     try {
-      const score = module.scoreConsensus(payload);
+      const score = module.scoreConsensus(payload, profile || undefined);
       if (symbol !== lastSymbol) return;
       if (Number.isFinite(score)) {
         const fixed = score.toFixed(1);
-        target.textContent = fixed.endsWith('.0') ? fixed.slice(0, -2) : stripTrailingZeros(fixed);
+        const completeness = typeof module.inputCompleteness === 'function' ? module.inputCompleteness(payload) : null;
+        renderSqueezeScore(target, fixed.endsWith('.0') ? fixed.slice(0, -2) : stripTrailingZeros(fixed), profile, completeness);
+        if (typeof module.explainScore === 'function') {
+          renderScoreExplanation(root, module.explainScore(payload, profile || undefined));
+        }
+        if (typeof module.scoreSensitivity === 'function') {
+          renderScoreRange(root, module.scoreSensitivity(payload, {
+            profile: profile || undefined,
+            alternates: data.inputAlternates || undefined
+          }));
+        }
       } else {
         target.textContent = 'N/A';
       }
@@ -617,6 +637,13 @@ function updateSqueezeScoreDisplay(root, data, symbol) {
   });
 }
 
+// Score, rank, range, trend, Reg SHO and provenance renderers, shared with the
+// popup (tooltip_template.js)
+const {
+  renderSqueezeScore, renderScoreExplanation, renderScoreTrend, renderScoreRank, renderScoreRange,
+  renderRegShoStreak, renderRegShoForecast, renderProvenance, describeProvenance, describeStaleness
+} = window.QSETooltipTemplate;
+
 function deriveTableColumns(rows, preferredColumns) {
   if (!rows || !rows.length) return [];
   let columns = [];
@@ -681,8 +708,13 @@ function showLoading(symbol, referenceRect) {
   safeSetText('.shi-short-interest-percent-float', '—');
   safeSetText('.shi-cost-to-borrow', '—');
   safeSetText('.shi-squeeze-score', '—');
+  renderScoreExplanation(el, null);
+  safeSetText('.shi-score-trend', '—');
+  safeSetText('.shi-score-rank', '—');
+  safeSetText('.shi-score-range', '—');
   safeSetText('.shi-short-shares-available', '—');
   safeSetText('.shi-finra-exempt-volume', '—');
+  safeSetText('.shi-short-volume-ratio', '—');
 
   safeSetText('.shi-country', '—');
   safeSetText('.shi-sector', '—');
@@ -690,7 +722,10 @@ function showLoading(symbol, referenceRect) {
   safeSetText('.shi-exchange', '—');
   safeSetText('.shi-options-enabled', '—');
   safeSetText('.shi-regsho-threshold', '—');
+  safeSetText('.shi-regsho-streak', '—');
+  safeSetText('.shi-regsho-forecast', '—');
   safeSetText('.shi-last-data-update', '—');
+  renderProvenance(el, null, null);
   
   // Clear price changes
   safeSetText('.shi-regular-change', '');
@@ -766,6 +801,7 @@ function showData(symbol, referenceRect, data) {
   // Short interest information (from Fintel)
   safeSetText('.shi-short-interest', formatShortInterestDisplay(data?.shortInterest));
   safeSetText('.shi-short-interest-ratio', formatDaysValue(data?.shortInterestRatio));
+  safeSetText('.shi-short-interest-prior', formatShortInterestPrior(data));
   safeSetText('.shi-short-interest-percent-float', formatShortFloatPercentDisplay(
     data?.shortInterestPercentFloat,
     data?.shortInterest,
@@ -775,10 +811,14 @@ function showData(symbol, referenceRect, data) {
   safeSetText('.shi-squeeze-score', 'Calculating…');
   safeSetText('.shi-short-shares-available', formatSharesDisplay(data?.shortSharesAvailable));
   safeSetText('.shi-finra-exempt-volume', formatSharesDisplay(data?.finraExemptVolume));
+  safeSetText('.shi-short-volume-ratio', formatShortVolumeRatio(data));
   safeSetText('.shi-failure-to-deliver', formatCurrencyDisplay(data?.failureToDeliver));
   safeSetText('.shi-regsho-min-ftds', formatRegShoShares(data?.regShoMinFtds));
+  renderRegShoForecast(el, data?.regShoForecast, data?.regShoThreshold);
 
   updateSqueezeScoreDisplay(el, data, symbol);
+  renderScoreTrend(el, data?.scoreHistory);
+  renderScoreRank(el, data?.scoreRank);
   
   // Company information
   console.log(`🏢 Setting company info in popup:`);
@@ -793,9 +833,11 @@ function showData(symbol, referenceRect, data) {
   safeSetText('.shi-exchange', data?.exchange ?? 'N/A');
   safeSetText('.shi-options-enabled', formatOptionsTrading(data?.optionsTradingEnabled));
   safeSetText('.shi-regsho-threshold', formatYesNoUnknown(data?.regShoThreshold));
+  renderRegShoStreak(el, data?.regShoStreak);
   
   // Last update information
   safeSetText('.shi-last-data-update', data?.lastDataUpdate ?? 'N/A');
+  renderProvenance(el, data?.provenance, data?.staleFields, data?.staleInputsScored);
   
   const rightCol = el.querySelector('.shi-column-right');
   renderFintelTables(rightCol, data);
@@ -880,7 +922,7 @@ function refreshCurrentSymbol() {
   }
 
   console.log(`🔄 Refreshing data for ${symbol}`);
-  chrome.runtime.sendMessage({ type: 'fetch-pack', symbol }, (data) => {
+  chrome.runtime.sendMessage({ type: 'fetch-pack', symbol, forceRefresh: true }, (data) => {
     if (chrome.runtime.lastError) {
       console.error(`❌ Refresh runtime error for ${symbol}:`, chrome.runtime.lastError);
       if (hoverIntentSymbol === symbol && lastSymbol === symbol) {
@@ -189,6 +189,8 @@ async function extractTickerData(ticker) {
     // Extract estimated cash from the page
     const estimatedCash = extractEstimatedCash();
     console.log('💰 Estimated cash:', estimatedCash);
+    const quarterlyCashFlow = extractQuarterlyCashFlow();
+    console.log('🔥 Quarterly cash flow:', quarterlyCashFlow);
     
     // Extract additional company data
     const companyData = extractCompanyData();
@@ -213,6 +215,7 @@ async function extractTickerData(ticker) {
     // Combine all data
     if (floatData) {
       if (estimatedCash) floatData.estimatedCash = estimatedCash;
+      if (quarterlyCashFlow) floatData.quarterlyCashFlow = quarterlyCashFlow;
       if (companyData) Object.assign(floatData, companyData);
       if (priceData) Object.assign(floatData, priceData);
 
@@ -253,6 +256,16 @@ async function extractTickerData(ticker) {
           if (!isNaN(dollars)) storeReady.estimatedCash = Math.round(dollars);
         }
       }
+      // quarterlyCashFlow keeps its sign (negative = burning cash)
+      if (storeReady.quarterlyCashFlow != null) {
+        const m = String(storeReady.quarterlyCashFlow).match(/^(-?)([0-9][\d.,]*)\s*([KMB])?$/i);
+        if (m) {
+          const raw = parseFloat(m[2].replace(/,/g, ''));
+          const unit = (m[3] || 'M').toUpperCase();
+          const mult = unit === 'B' ? 1e9 : unit === 'M' ? 1e6 : 1e3;
+          if (!isNaN(raw)) storeReady.quarterlyCashFlow = Math.round((m[1] ? -raw : raw) * mult);
+        }
+      }
       // Check if data has changed before storing
       await storeTickerDataIfChanged(ticker, storeReady);
     } else {
@@ -846,6 +859,24 @@ function extractEstimatedCash() {
   }
 }
 
+/**
+ * Extract the quarterly cash burn DilutionTracker quotes next to the cash estimate
+ * ("quarterly cash burn of -$4.1M and estimated current cash of ...").
+ * @returns {string|null} Signed amount with unit (e.g. "-4.1M"; negative = burning cash) or null
+ */
+function extractQuarterlyCashFlow() {
+  try {
+    const pageText = document.body.textContent || '';
+    const match = pageText.match(/quarterly\s+cash\s+burn\s+of\s+(-?)\$([0-9,.]+)\s*([KMB])(?!\w)/i);
+    if (!match) return null;
+    const rawNum = match[2].replace(/,/g, '').trim();
+    return `${match[1]}${rawNum}${match[3].toUpperCase()}`;
+  } catch (error) {
+    console.error('❌ Error extracting cash burn:', error);
+    return null;
+  }
+}
+
 /**
  * Parse float and shares outstanding from text content
  * @param {string} text - Raw text content
@@ -2069,14 +2100,30 @@ async function storeTickerDataIfChanged(ticker, newData) {
     const result = await chrome.storage.local.get(`ticker_${ticker}`);
     const existingData = result[`ticker_${ticker}`];
     
+    const fieldsToCheck = [
+      'latestFloat', 'sharesOutstanding', 'estimatedCash', 'quarterlyCashFlow',
+      'sector', 'industry', 'country', 'exchange', 'institutionalOwnership',
+      'marketCap', 'enterpriseValue', 'regularMarketChange', 'extendedMarketChange'
+    ];
+
+    // Stamp each DilutionTracker field with this page and time; a value that
+    // hasn't changed is re-stamped at most hourly
+    const DT_OBSERVATION_REFRESH_MS = 60 * 60 * 1000;
+    const observedAt = Date.now();
+    const fieldSources = { ...(existingData?.fieldSources || {}) };
+    let sourcesRefreshed = false;
+    for (const field of fieldsToCheck) {
+      if (newData[field] == null) continue;
+      const prior = fieldSources[field];
+      const changed = JSON.stringify(existingData?.[field]) !== JSON.stringify(newData[field]);
+      if (!changed && prior && (observedAt - prior.observedAt) < DT_OBSERVATION_REFRESH_MS) continue;
+      fieldSources[field] = { source: 'dilutiontracker', observedAt, url: location.href };
+      sourcesRefreshed = true;
+    }
+    newData = { ...newData, fieldSources };
+
     // Check if data has changed
     if (existingData) {
-      const fieldsToCheck = [
-        'latestFloat', 'sharesOutstanding', 'estimatedCash',
-        'sector', 'industry', 'country', 'exchange', 'institutionalOwnership',
-        'marketCap', 'enterpriseValue', 'regularMarketChange', 'extendedMarketChange'
-      ];
-      
       const changes = [];
       for (const field of fieldsToCheck) {
         const oldValue = JSON.stringify(existingData[field]);
@@ -2086,7 +2133,7 @@ async function storeTickerDataIfChanged(ticker, newData) {
         }
       }
       
-      if (changes.length === 0) {
+      if (changes.length === 0 && !sourcesRefreshed) {
         console.log(`💾 Data unchanged for ${ticker}, skipping storage`);
         return;
       }
@@ -0,0 +1,240 @@
+/**
+ * @file
+ * finra_short_interest.js
+ *
+ * FINRA consolidated short interest (exchange-listed and OTC), published twice a
+ * month per settlement date as a pipe-delimited file:
+ *
+ *   accountingYearMonthNumber|symbolCode|issueName|issuerServicesGroupExchangeCode|marketClassCode|currentShortPositionQuantity|previousShortPositionQuantity|stockSplitFlag|averageDailyVolumeQuantity|daysToCoverQuantity|revisionFlag|changePercent|changePreviousNumber|settlementDate
+ *   20240112|ABCD|ABCD Inc. Common Stock||NNM|1234567|1000000||250000|4.94||23.46|234567|2024-01-12
+ *
+ * parseShortInterestFile / indexShortInterest are pure so they can be run
+ * against saved files. loadShortInterestIndex keeps the latest file indexed by
+ * symbol in chrome.storage.local (each row carries the prior period, so one
+ * file is enough) and looks for a newer one every FINRA_SI_CHECK_MS
+ * (FINRA_SI_RETRY_MS after a check that failed); lookupShortInterest only reads
+ * what is stored, so a pack never waits on the download.
+ */
+
+import { onOrBeforeTradingDay } from './market_calendar.js';
+
+export const FINRA_SI_BASE_URL = 'https://cdn.finra.org/equity/otcmarket/biweekly/';
+export const FINRA_SI_CHECK_MS = 12 * 60 * 60 * 1000;
+const FINRA_SI_RETRY_MS = 30 * 60 * 1000;
+const FINRA_SI_MONTHS_BACK = 2;
+
+const INDEX_STORAGE_KEY = 'finra_si_index'; // { checkedAt, failedAt, file, settlementDate, symbols }
+
+// Column headers as FINRA names them (file downloads and the Query API share these)
+const COLUMNS = {
+  symbol: ['symbolcode', 'symbol'],
+  name: ['issuename', 'securityname'],
+  market: ['marketclasscode', 'market'],
+  current: ['currentshortpositionquantity', 'currentshortshares', 'shortinterest'],
+  previous: ['previousshortpositionquantity', 'previousshortshares'],
+  averageDailyVolume: ['averagedailyvolumequantity', 'avgdailyvolume'],
+  daysToCover: ['daystocoverquantity', 'daystocover'],
+  settlementDate: ['settlementdate']
+};
+
+let memory = null; // stored index, see INDEX_STORAGE_KEY
+let pendingRefresh = null;
+
+function parseCount(value) {
+  const s = String(value ?? '').trim().replace(/,/g, '');
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function parseSettlementDate(value) {
+  const s = String(value ?? '').trim();
+  let m = s.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  return m ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+}
+
+/**
+ * Parse one short interest file (pipe- or comma-delimited, header first).
+ * @param {string} text
+ * @returns {{settlementDate: string|null, rows: Array<{symbol: string, name: string, market: string, current: number, previous: number|null, averageDailyVolume: number|null, daysToCover: number|null, settlementDate: string|null}>, skipped: number}}
+ *   `settlementDate` is the most common row date (YYYY-MM-DD); rows without a
+ *   symbol or current position are counted in `skipped`.
+ */
+export function parseShortInterestFile(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  const result = { settlementDate: null, rows: [], skipped: 0 };
+  if (!lines.length) return result;
+
+  const delimiter = lines[0].includes('|') ? '|' : ',';
+  const header = lines[0].split(delimiter).map(h => h.trim().toLowerCase().replace(/[^a-z]/g, ''));
+  const index = {};
+  for (const [key, names] of Object.entries(COLUMNS)) index[key] = header.findIndex(h => names.includes(h));
+  if (index.symbol < 0 || index.current < 0) {
+    result.skipped = lines.length - 1;
+    return result;
+  }
+
+  const dates = new Map();
+  for (const line of lines.slice(1)) {
+    const fields = line.split(delimiter);
+    const cell = (key) => (index[key] >= 0 ? (fields[index[key]] ?? '').trim() : '');
+    const symbol = cell('symbol').toUpperCase();
+    const current = parseCount(cell('current'));
+    if (!symbol || current == null) {
+      result.skipped++;
+      continue;
+    }
+    const settlementDate = parseSettlementDate(cell('settlementDate'));
+    if (settlementDate) dates.set(settlementDate, (dates.get(settlementDate) || 0) + 1);
+    result.rows.push({
+      symbol,
+      name: cell('name'),
+      market: cell('market'),
+      current,
+      previous: parseCount(cell('previous')),
+      averageDailyVolume: parseCount(cell('averageDailyVolume')),
+      daysToCover: parseCount(cell('daysToCover')),
+      settlementDate
+    });
+  }
+  result.settlementDate = [...dates.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] ?? null;
+  return result;
+}
+
+/**
+ * Index parsed rows by symbol: { SYMBOL: [current, previous, averageDailyVolume, daysToCover] }.
+ * @param {Array<object>} rows from parseShortInterestFile
+ * @returns {Record<string, Array<number|null>>}
+ */
+export function indexShortInterest(rows) {
+  const index = {};
+  for (const row of rows) {
+    index[row.symbol] = [row.current, row.previous, row.averageDailyVolume, row.daysToCover];
+  }
+  return index;
+}
+
+const isoDate = (d) => d.toISOString().slice(0, 10);
+
+/**
+ * Settlement dates to look for, newest first: the 15th and month-end of the
+ * current and FINRA_SI_MONTHS_BACK previous months, each moved back to the
+ * trading day on or before it. Dates after `now` are left out.
+ * @param {Date} now
+ * @returns {string[]} YYYY-MM-DD
+ */
+export function settlementDateCandidates(now) {
+  const today = isoDate(now);
+  const out = [];
+  for (let back = 0; back <= FINRA_SI_MONTHS_BACK; back++) {
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth() - back;
+    for (const anchor of [new Date(Date.UTC(year, month + 1, 0)), new Date(Date.UTC(year, month, 15))]) {
+      const iso = onOrBeforeTradingDay(isoDate(anchor));
+      if (iso <= today && !out.includes(iso)) out.push(iso);
+    }
+  }
+  return out;
+}
+
+// { file, settlementDate, symbols } for a published file, { missing: true } when
+// FINRA has none for that date (yet), null on errors
+async function downloadShortInterestFile(settlementDate) {
+  const name = `shrt${settlementDate.replace(/-/g, '')}.csv`;
+  try {
+    const res = await fetch(`${FINRA_SI_BASE_URL}${name}`, { cache: 'no-cache' });
+    if (res.status === 404 || res.status === 403) return { missing: true };
+    if (!res.ok) {
+      console.warn(`⚠️ FINRA short interest ${name} unavailable (${res.status})`);
+      return null;
+    }
+    const parsed = parseShortInterestFile(await res.text());
+    if (!parsed.rows.length) return { missing: true };
+    if (parsed.skipped) console.warn(`⚠️ FINRA short interest ${name}: skipped ${parsed.skipped} row(s)`);
+    return {
+      file: name,
+      settlementDate: parsed.settlementDate || settlementDate,
+      symbols: indexShortInterest(parsed.rows)
+    };
+  } catch (err) {
+    console.error(`❌ FINRA short interest ${name} failed:`, err);
+    return null;
+  }
+}
+
+async function readStoredIndex() {
+  const res = await chrome.storage.local.get(INDEX_STORAGE_KEY);
+  return res[INDEX_STORAGE_KEY] || null;
+}
+
+// Whether a check for a newer file is due: FINRA_SI_RETRY_MS after a failed
+// check, FINRA_SI_CHECK_MS after a good one
+function refreshDue(index) {
+  if (!index) return true;
+  if (index.failedAt) return (Date.now() - index.failedAt) >= FINRA_SI_RETRY_MS;
+  return (Date.now() - index.checkedAt) >= FINRA_SI_CHECK_MS;
+}
+
+async function refreshShortInterestIndex() {
+  if (!memory) memory = await readStoredIndex();
+  if (!refreshDue(memory)) return memory;
+
+  let latest = null;
+  let failed = false;
+  for (const date of settlementDateCandidates(new Date())) {
+    if (memory?.settlementDate && date <= memory.settlementDate) break; // nothing newer published yet
+    const file = await downloadShortInterestFile(date);
+    if (file?.symbols) {
+      latest = file;
+      break;
+    }
+    if (!file) failed = true;
+  }
+
+  // A check only counts when every date answered and there is a file to show;
+  // otherwise the old index and checkedAt stay and it is retried after FINRA_SI_RETRY_MS
+  let next;
+  if (latest) next = { checkedAt: Date.now(), failedAt: null, ...latest };
+  else if (failed || !memory?.symbols) next = { ...(memory || { checkedAt: 0 }), failedAt: Date.now() };
+  else next = { ...memory, checkedAt: Date.now(), failedAt: null };
+  await chrome.storage.local.set({ [INDEX_STORAGE_KEY]: next });
+  memory = next;
+  return memory;
+}
+
+/**
+ * The latest indexed file ({ file, settlementDate, symbols }; no `symbols`
+ * until one has been downloaded). Concurrent callers share one refresh.
+ */
+export function loadShortInterestIndex() {
+  if (!pendingRefresh) {
+    pendingRefresh = refreshShortInterestIndex()
+      .catch(err => {
+        console.error('❌ FINRA short interest refresh failed:', err);
+        return memory;
+      })
+      .finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Short interest for one symbol from the stored FINRA file. A due refresh is
+ * started in the background (the worker also runs one on install and on an
+ * alarm); until the first file is stored this rejects, so the caller falls
+ * back to other sources.
+ * @param {string} symbol
+ * @returns {Promise<{shares: number, previousShares: number|null, averageDailyVolume: number|null, daysToCover: number|null, settlementDate: string}|null>}
+ */
+export async function lookupShortInterest(symbol) {
+  if (!memory) memory = await readStoredIndex();
+  const index = memory;
+  if (refreshDue(index)) loadShortInterestIndex();
+  if (!index?.symbols) throw new Error('FINRA short interest is not downloaded yet');
+  const row = index.symbols[String(symbol || '').toUpperCase()];
+  if (!row) return null;
+  const [shares, previousShares, averageDailyVolume, daysToCover] = row;
+  return { shares, previousShares, averageDailyVolume, daysToCover, settlementDate: index.settlementDate };
+}
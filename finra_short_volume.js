@@ -0,0 +1,239 @@
+/**
+ * @file
+ * finra_short_volume.js
+ *
+ * FINRA daily Reg SHO short sale volume (consolidated NMS file, every ticker),
+ * published each trading day as a pipe-delimited text file:
+ *
+ *   Date|Symbol|ShortVolume|ShortExemptVolume|TotalVolume|Market
+ *   20240102|ABCD|123456|789|345678|B,Q,N
+ *
+ * parseShortVolumeFile / indexShortVolume / shortVolumeHistory are pure so they
+ * can be run against saved files. loadShortVolumeDays keeps the last
+ * FINRA_SHVOL_DAYS_KEPT trading days indexed by symbol in chrome.storage.local
+ * and looks for new days every FINRA_SHVOL_CHECK_MS; lookupShortVolume only
+ * reads what is stored, so a pack never waits on those downloads.
+ */
+
+import { isTradingDay } from './market_calendar.js';
+
+export const FINRA_SHVOL_BASE_URL = 'https://cdn.finra.org/equity/regsho/daily/';
+export const FINRA_SHVOL_DAYS_KEPT = 20;
+export const FINRA_SHVOL_CHECK_MS = 3 * 60 * 60 * 1000;
+const FINRA_SHVOL_LOOKBACK_DAYS = 35; // calendar days searched for FINRA_SHVOL_DAYS_KEPT trading days
+
+const META_STORAGE_KEY = 'finra_shvol_meta'; // { checkedAt, days: [YYYY-MM-DD newest first], missing: [YYYY-MM-DD] }
+const DAY_STORAGE_PREFIX = 'finra_shvol_'; // per-day index, see indexShortVolume
+
+let memory = null; // { checkedAt, days: [{ date, index }], missing }
+let pendingRefresh = null;
+
+function parseVolume(value) {
+  const s = String(value ?? '').trim().replace(/,/g, '');
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) && n >= 0 ? n : null;
+}
+
+/**
+ * Parse one daily short sale volume file.
+ * @param {string} text
+ * @returns {{date: string|null, rows: Array<{date: string, symbol: string, shortVolume: number, shortExemptVolume: number|null, totalVolume: number, market: string}>, skipped: number}}
+ *   Dates are YYYY-MM-DD; rows missing a symbol, short or total volume are
+ *   counted in `skipped`.
+ */
+export function parseShortVolumeFile(text) {
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim());
+  const result = { date: null, rows: [], skipped: 0 };
+  if (!lines.length) return result;
+
+  const header = lines[0].split('|').map(h => h.trim().toLowerCase());
+  const col = (name) => header.indexOf(name);
+  const index = {
+    date: col('date'),
+    symbol: col('symbol'),
+    shortVolume: col('shortvolume'),
+    shortExemptVolume: col('shortexemptvolume'),
+    totalVolume: col('totalvolume'),
+    market: col('market')
+  };
+  if (index.symbol < 0 || index.shortVolume < 0 || index.totalVolume < 0) {
+    result.skipped = lines.length - 1;
+    return result;
+  }
+
+  for (const line of lines.slice(1)) {
+    const fields = line.split('|');
+    const cell = (key) => (index[key] >= 0 ? (fields[index[key]] ?? '').trim() : '');
+    const m = cell('date').match(/^(\d{4})(\d{2})(\d{2})$/);
+    const symbol = cell('symbol').toUpperCase();
+    const shortVolume = parseVolume(cell('shortVolume'));
+    const totalVolume = parseVolume(cell('totalVolume'));
+    if (!m || !symbol || shortVolume == null || totalVolume == null) {
+      result.skipped++;
+      continue;
+    }
+    const date = `${m[1]}-${m[2]}-${m[3]}`;
+    result.date ||= date;
+    result.rows.push({
+      date,
+      symbol,
+      shortVolume,
+      shortExemptVolume: parseVolume(cell('shortExemptVolume')),
+      totalVolume,
+      market: cell('market')
+    });
+  }
+  return result;
+}
+
+/**
+ * Index one day's rows by symbol: { SYMBOL: [shortVolume, shortExemptVolume, totalVolume] }.
+ * @param {Array<object>} rows from parseShortVolumeFile
+ * @returns {Record<string, Array<number|null>>}
+ */
+export function indexShortVolume(rows) {
+  const index = {};
+  for (const row of rows) index[row.symbol] = [row.shortVolume, row.shortExemptVolume, row.totalVolume];
+  return index;
+}
+
+/**
+ * A symbol's daily short volume and ratio (short / total, in percent), newest first.
+ * @param {Array<{date: string, index: object}>} days newest first
+ * @param {string} symbol
+ * @returns {Array<{date: string, shortVolume: number, shortExemptVolume: number|null, totalVolume: number, ratio: number|null}>}
+ */
+export function shortVolumeHistory(days, symbol) {
+  const key = String(symbol || '').toUpperCase();
+  const history = [];
+  for (const { date, index } of days) {
+    const row = index?.[key];
+    if (!row) continue;
+    const [shortVolume, shortExemptVolume, totalVolume] = row;
+    history.push({
+      date,
+      shortVolume,
+      shortExemptVolume,
+      totalVolume,
+      ratio: totalVolume > 0 ? Math.round((shortVolume / totalVolume) * 10000) / 100 : null
+    });
+  }
+  return history;
+}
+
+/**
+ * Trading days to look for, newest first, from `now` back FINRA_SHVOL_LOOKBACK_DAYS.
+ * @param {Date} now
+ * @returns {string[]} YYYY-MM-DD
+ */
+export function shortVolumeDateCandidates(now) {
+  const out = [];
+  const day = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  for (let i = 0; i < FINRA_SHVOL_LOOKBACK_DAYS; i++) {
+    const iso = day.toISOString().slice(0, 10);
+    if (isTradingDay(iso)) out.push(iso);
+    day.setUTCDate(day.getUTCDate() - 1);
+  }
+  return out;
+}
+
+// { index } for a published day, { missing: true } when FINRA has no file, null on errors
+async function downloadShortVolumeDay(date) {
+  const name = `CNMSshvol${date.replace(/-/g, '')}.txt`;
+  try {
+    const res = await fetch(`${FINRA_SHVOL_BASE_URL}${name}`, { cache: 'no-cache' });
+    if (res.status === 404 || res.status === 403) return { missing: true };
+    if (!res.ok) {
+      console.warn(`⚠️ FINRA short volume ${name} unavailable (${res.status})`);
+      return null;
+    }
+    const parsed = parseShortVolumeFile(await res.text());
+    if (!parsed.rows.length) return { missing: true };
+    return { index: indexShortVolume(parsed.rows) };
+  } catch (err) {
+    console.error(`❌ FINRA short volume ${name} failed:`, err);
+    return null;
+  }
+}
+
+async function readStoredDays() {
+  const res = await chrome.storage.local.get(META_STORAGE_KEY);
+  const meta = res[META_STORAGE_KEY];
+  if (!meta || !Array.isArray(meta.days)) return null;
+  const keys = meta.days.map(date => `${DAY_STORAGE_PREFIX}${date}`);
+  const stored = await chrome.storage.local.get(keys);
+  return {
+    checkedAt: meta.checkedAt || 0,
+    days: meta.days.map((date, i) => ({ date, index: stored[keys[i]] })).filter(d => d.index),
+    missing: Array.isArray(meta.missing) ? meta.missing : []
+  };
+}
+
+async function refreshShortVolumeDays() {
+  if (!memory) memory = await readStoredDays();
+  if (memory && (Date.now() - memory.checkedAt) < FINRA_SHVOL_CHECK_MS) return memory.days;
+
+  const now = new Date();
+  const candidates = shortVolumeDateCandidates(now);
+  const yesterday = candidates.find(date => date < now.toISOString().slice(0, 10));
+  const previous = memory?.days || [];
+  const missing = new Set((memory?.missing || []).filter(date => candidates.includes(date)));
+  const updates = {};
+  const days = [];
+  for (const date of candidates) {
+    if (days.length >= FINRA_SHVOL_DAYS_KEPT) break;
+    if (missing.has(date)) continue;
+    const existing = previous.find(d => d.date === date);
+    if (existing) {
+      days.push(existing);
+      continue;
+    }
+    const day = await downloadShortVolumeDay(date);
+    if (day?.index) {
+      days.push({ date, index: day.index });
+      updates[`${DAY_STORAGE_PREFIX}${date}`] = day.index;
+    } else if (day?.missing && yesterday && date < yesterday) {
+      missing.add(date); // an unscheduled closure: no file will appear (today's and yesterday's may still be pending)
+    }
+  }
+
+  updates[META_STORAGE_KEY] = { checkedAt: Date.now(), days: days.map(d => d.date), missing: [...missing] };
+  const dropped = previous.filter(d => !days.includes(d)).map(d => `${DAY_STORAGE_PREFIX}${d.date}`);
+  await chrome.storage.local.set(updates);
+  if (dropped.length) await chrome.storage.local.remove(dropped);
+
+  memory = { checkedAt: Date.now(), days, missing: [...missing] };
+  return days;
+}
+
+/**
+ * Indexed trading days ([{ date, index }], newest first). Concurrent callers
+ * share one refresh.
+ */
+export function loadShortVolumeDays() {
+  if (!pendingRefresh) {
+    pendingRefresh = refreshShortVolumeDays()
+      .catch(err => {
+        console.error('❌ FINRA short volume refresh failed:', err);
+        return memory?.days || [];
+      })
+      .finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * Daily short volume history for one symbol (see shortVolumeHistory), answered
+ * from the days already stored. A due refresh is started in the background
+ * (the worker also runs one on install and on an alarm); until the first one
+ * has stored anything this rejects, so the caller tries again later.
+ * @param {string} symbol
+ */
+export async function lookupShortVolume(symbol) {
+  if (!memory) memory = await readStoredDays();
+  const stored = memory;
+  if (!stored || (Date.now() - stored.checkedAt) >= FINRA_SHVOL_CHECK_MS) loadShortVolumeDays();
+  if (!stored) throw new Error('FINRA short volume days are not downloaded yet');
+  return shortVolumeHistory(stored.days, symbol);
+}
@@ -29,6 +29,8 @@
 
 console.log('🔍 Fintel content script loaded');
 
+const FINTEL_OBSERVATION_REFRESH_MS = 60 * 60 * 1000;
+
 // Check if we're on a short interest page
 const currentUrl = window.location.href;
 const tickerMatch = currentUrl.match(/fintel\.io\/ss\/us\/([A-Z]{1,5})/i);
@@ -1459,7 +1461,22 @@ async function storeFintelDataIfChanged(ticker, newFintelData) {
       }
     }
     
-    if (!hasChanges) {
+    // Where and when each field was observed (shown on hover in the tooltip);
+    // unchanged values refresh their observation time at most every
+    // FINTEL_OBSERVATION_REFRESH_MS so page mutations don't churn storage
+    const observedAt = Date.now();
+    const fieldSources = { ...(existingData.fieldSources || {}) };
+    let sourcesRefreshed = false;
+    for (const field of fintelFields) {
+      if (newFintelData[field] == null) continue;
+      const prior = fieldSources[field];
+      const changed = changes.some(change => change.field === field);
+      if (!changed && prior && (observedAt - prior.observedAt) < FINTEL_OBSERVATION_REFRESH_MS) continue;
+      fieldSources[field] = { source: field.endsWith('Table') ? 'fintel table' : 'fintel', observedAt, url: location.href };
+      sourcesRefreshed = true;
+    }
+
+    if (!hasChanges && !sourcesRefreshed) {
       console.log(`💾 Fintel data unchanged for ${ticker}, skipping storage`);
       return;
     }
@@ -1473,6 +1490,7 @@ async function storeFintelDataIfChanged(ticker, newFintelData) {
     const updatedData = {
       ...existingData,
       ...newFintelData,
+      fieldSources,
       lastUpdated: Date.now() // Update timestamp
     };
     
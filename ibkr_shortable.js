@@ -0,0 +1,178 @@
+/**
+ * @file
+ * ibkr_shortable.js
+ *
+ * IBKR shortable-stock file: one pipe-delimited row per symbol with shares
+ * available to borrow, borrow fee rate and rebate rate (both annual percent).
+ *
+ *   #BOF|2024.01.02|09:45:02
+ *   #SYM|CUR|NAME|CON|ISIN|REBATERATE|FEERATE|AVAILABLE|FIGI|
+ *   ABCD|USD|ABCD INC|12345|US0000000001|-12.3456|17.5|>10000000|BBG000000001|
+ *   #EOF|1
+ *
+ * parseShortableFile is pure (text in, plain object out) so it can be run
+ * against saved copies of the file; loadShortableFile downloads and caches the
+ * whole file once per refresh interval for the service worker.
+ *
+ * IBKR only publishes the file on its FTP host, which an extension cannot
+ * fetch, and there is no official HTTPS endpoint. The fallback therefore stays
+ * off until an HTTP(S) mirror of usa.txt is saved under IBKR_SHORTABLE_URL_KEY
+ * in chrome.storage.local (its host also needs a host_permissions entry).
+ */
+
+// Where IBKR publishes the file (recorded as the data's source URL)
+export const IBKR_SHORTABLE_FTP_URL = 'ftp://shortstock@ftp2.interactivebrokers.com/usa.txt';
+export const IBKR_SHORTABLE_URL_KEY = 'ibkr_shortable_url'; // chrome.storage.local: HTTP(S) mirror of usa.txt
+export const IBKR_SHORTABLE_REFRESH_MS = 15 * 60 * 1000; // IBKR regenerates the file roughly every 15 minutes
+
+// Header names as they appear in the #SYM line
+const COLUMNS = {
+  symbol: 'SYM',
+  currency: 'CUR',
+  name: 'NAME',
+  conid: 'CON',
+  isin: 'ISIN',
+  rebateRate: 'REBATERATE',
+  feeRate: 'FEERATE',
+  available: 'AVAILABLE'
+};
+
+let cachedFile = null; // { fetchedAt, url, file }
+let pendingDownload = null;
+
+function parseRate(value) {
+  const s = String(value ?? '').trim();
+  if (!s || s.toUpperCase() === 'NA') return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+// AVAILABLE is a share count, capped by IBKR as ">10000000" for deep availability
+function parseAvailable(value) {
+  const s = String(value ?? '').trim().replace(/,/g, '');
+  const m = s.match(/^(>)?\s*(\d+)$/);
+  if (!m) return { available: null, availableAtLeast: false };
+  return { available: Number(m[2]), availableAtLeast: !!m[1] };
+}
+
+function parseStamp(fields) {
+  const date = (fields[1] || '').trim().replace(/\./g, '-');
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  const time = (fields[2] || '').trim();
+  return /^\d{2}:\d{2}(:\d{2})?$/.test(time) ? `${date} ${time}` : date;
+}
+
+/**
+ * Parse the shortable-stock file.
+ * @param {string} text
+ * @returns {{asOf: string|null, symbols: Record<string, {currency: string, name: string, conid: string, isin: string, rebateRate: number|null, feeRate: number|null, available: number|null, availableAtLeast: boolean}>, skipped: number}}
+ *   `asOf` is the #BOF timestamp ("YYYY-MM-DD HH:MM:SS", IBKR's clock); rows
+ *   without a symbol or with the wrong field count are counted in `skipped`.
+ */
+export function parseShortableFile(text) {
+  const result = { asOf: null, symbols: {}, skipped: 0 };
+  let index = null;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    const fields = line.split('|');
+    const tag = fields[0].toUpperCase();
+    if (tag === '#BOF') {
+      result.asOf = parseStamp(fields);
+      continue;
+    }
+    if (tag === '#SYM') {
+      const header = fields.map(f => f.replace(/^#/, '').trim().toUpperCase());
+      index = {};
+      for (const [key, column] of Object.entries(COLUMNS)) index[key] = header.indexOf(column);
+      continue;
+    }
+    if (tag.startsWith('#')) continue;
+    if (!index || index.symbol < 0) {
+      result.skipped++;
+      continue;
+    }
+
+    const cell = (key) => (index[key] >= 0 ? (fields[index[key]] ?? '').trim() : '');
+    const symbol = cell('symbol').toUpperCase();
+    if (!symbol || fields.length < Math.max(...Object.values(index)) + 1) {
+      result.skipped++;
+      continue;
+    }
+    result.symbols[symbol] = {
+      currency: cell('currency'),
+      name: cell('name'),
+      conid: cell('conid'),
+      isin: cell('isin'),
+      rebateRate: parseRate(cell('rebateRate')),
+      feeRate: parseRate(cell('feeRate')),
+      ...parseAvailable(cell('available'))
+    };
+  }
+  return result;
+}
+
+/**
+ * The configured HTTP(S) mirror of the file, or null when none is set.
+ * @returns {Promise<string|null>}
+ */
+export async function shortableFileUrl() {
+  try {
+    const res = await chrome.storage.local.get(IBKR_SHORTABLE_URL_KEY);
+    const url = String(res[IBKR_SHORTABLE_URL_KEY] || '').trim();
+    return /^https?:\/\//i.test(url) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Download and parse the file, reusing the last copy while it is younger than
+ * `maxAgeMs`. Concurrent callers share one download; if a refresh fails the
+ * previous copy (if any) is returned. Resolves to null without a request when
+ * no mirror is configured.
+ * @param {{url?: string, maxAgeMs?: number}=} opts
+ * @returns {Promise<ReturnType<typeof parseShortableFile>|null>}
+ */
+export async function loadShortableFile({ url, maxAgeMs = IBKR_SHORTABLE_REFRESH_MS } = {}) {
+  url = url || await shortableFileUrl();
+  if (!url) return null;
+  if (cachedFile?.url === url && (Date.now() - cachedFile.fetchedAt) < maxAgeMs) return cachedFile.file;
+  if (!pendingDownload) {
+    pendingDownload = (async () => {
+      try {
+        const res = await fetch(url, { cache: 'no-cache' });
+        if (!res.ok) {
+          console.warn(`⚠️ IBKR shortable file unavailable (${res.status})`);
+          return cachedFile?.file ?? null;
+        }
+        const file = parseShortableFile(await res.text());
+        if (!Object.keys(file.symbols).length) {
+          console.warn('⚠️ IBKR shortable file had no rows');
+          return cachedFile?.file ?? null;
+        }
+        cachedFile = { fetchedAt: Date.now(), url, file };
+        return file;
+      } catch (err) {
+        console.error('❌ IBKR shortable file download failed:', err);
+        return cachedFile?.file ?? null;
+      } finally {
+        pendingDownload = null;
+      }
+    })();
+  }
+  return pendingDownload;
+}
+
+/**
+ * Shortable-stock row for one symbol (IBKR uses "." for share classes, e.g. BRK.B).
+ * @param {string} symbol
+ * @returns {Promise<object|null>} the parsed row plus the file's `asOf`
+ */
+export async function lookupShortable(symbol) {
+  const file = await loadShortableFile();
+  if (!file) return null;
+  const key = String(symbol || '').toUpperCase().replace(/[-/]/g, '.');
+  const row = file.symbols[key];
+  return row ? { ...row, asOf: file.asOf } : null;
+}
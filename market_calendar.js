@@ -0,0 +1,200 @@
+/**
+ * @file
+ * market_calendar.js
+ *
+ * NYSE trading calendar computed by rule for any year: full-day holidays
+ * (with the Saturday→Friday / Sunday→Monday observance rules) and the 1:00 pm
+ * early closes. Everything that reasons about trading days (Reg SHO list dates,
+ * settlement dates, staleness) goes through here.
+ *
+ * Functions take a calendar date either as "YYYY-MM-DD" or as a Date (read with
+ * local getters, like easternNowDate() in the service worker) and return the
+ * same kind they were given.
+ */
+
+const EARLY_CLOSE_TIME = '13:00'; // Eastern
+
+const holidayCache = new Map(); // year -> Map(iso -> name)
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoOf = (y, m, d) => `${y}-${pad(m)}-${pad(d)}`;
+
+function toISO(date) {
+  if (typeof date === 'string') return date.slice(0, 10);
+  return isoOf(date.getFullYear(), date.getMonth() + 1, date.getDate());
+}
+
+function fromISO(iso, like) {
+  if (typeof like === 'string') return iso;
+  const [y, m, d] = iso.split('-').map(Number);
+  return new Date(y, m - 1, d);
+}
+
+// Day of week (0 = Sunday) and day arithmetic on ISO dates, in UTC so DST never interferes
+const weekday = (iso) => new Date(`${iso}T00:00:00Z`).getUTCDay();
+function shiftISO(iso, days) {
+  const d = new Date(`${iso}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, dow, n) {
+  if (n > 0) {
+    const first = weekday(isoOf(year, month, 1));
+    return isoOf(year, month, 1 + ((dow - first + 7) % 7) + (n - 1) * 7);
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = weekday(isoOf(year, month, lastDay));
+  return isoOf(year, month, lastDay - ((last - dow + 7) % 7));
+}
+
+// Gregorian Easter Sunday (anonymous Gregorian algorithm)
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return isoOf(year, month, day);
+}
+
+// Fixed-date holiday moved to Friday when it falls on Saturday, Monday when on Sunday
+function observed(iso) {
+  const dow = weekday(iso);
+  if (dow === 6) return shiftISO(iso, -1);
+  if (dow === 0) return shiftISO(iso, 1);
+  return iso;
+}
+
+/**
+ * NYSE full-day holidays for a year.
+ * @param {number} year
+ * @returns {Map<string, string>} YYYY-MM-DD -> holiday name
+ */
+export function nyseHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const days = new Map();
+  const add = (iso, name) => { if (iso.startsWith(`${year}-`)) days.set(iso, name); };
+
+  // New Year's Day is not moved back into December when it falls on a Saturday
+  const newYear = isoOf(year, 1, 1);
+  if (weekday(newYear) !== 6) add(observed(newYear), "New Year's Day");
+  if (year >= 1998) add(nthWeekday(year, 1, 1, 3), 'Martin Luther King Jr. Day');
+  add(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  add(shiftISO(easterSunday(year), -2), 'Good Friday');
+  add(nthWeekday(year, 5, 1, -1), 'Memorial Day');
+  if (year >= 2022) add(observed(isoOf(year, 6, 19)), 'Juneteenth');
+  add(observed(isoOf(year, 7, 4)), 'Independence Day');
+  add(nthWeekday(year, 9, 1, 1), 'Labor Day');
+  add(nthWeekday(year, 11, 4, 4), 'Thanksgiving Day');
+  add(observed(isoOf(year, 12, 25)), 'Christmas Day');
+
+  holidayCache.set(year, days);
+  return days;
+}
+
+/**
+ * Holiday name when the market is closed for a holiday that day, else null.
+ * @param {Date|string} date
+ * @returns {string|null}
+ */
+export function marketHoliday(date) {
+  const iso = toISO(date);
+  return nyseHolidays(Number(iso.slice(0, 4))).get(iso) || null;
+}
+
+/**
+ * @param {Date|string} date
+ * @returns {boolean} false on weekends and NYSE holidays
+ */
+export function isTradingDay(date) {
+  const iso = toISO(date);
+  const dow = weekday(iso);
+  return dow !== 0 && dow !== 6 && !marketHoliday(iso);
+}
+
+/**
+ * Early close time ("13:00" Eastern) on the shortened sessions: July 3, the
+ * day after Thanksgiving and Christmas Eve, when those are trading days.
+ * @param {Date|string} date
+ * @returns {string|null}
+ */
+export function earlyClose(date) {
+  const iso = toISO(date);
+  if (!isTradingDay(iso)) return null;
+  const year = Number(iso.slice(0, 4));
+  const md = iso.slice(5);
+  const dayAfterThanksgiving = shiftISO(nthWeekday(year, 11, 4, 4), 1);
+  if (iso === dayAfterThanksgiving || md === '12-24') return EARLY_CLOSE_TIME;
+  // July 3 closes early only when Independence Day itself is the holiday that week
+  if (md === '07-03' && marketHoliday(isoOf(year, 7, 4))) return EARLY_CLOSE_TIME;
+  return null;
+}
+
+/**
+ * Trading day strictly before `date`.
+ * @param {Date|string} date
+ */
+export function previousTradingDay(date) {
+  let iso = shiftISO(toISO(date), -1);
+  while (!isTradingDay(iso)) iso = shiftISO(iso, -1);
+  return fromISO(iso, date);
+}
+
+/**
+ * Trading day strictly after `date`.
+ * @param {Date|string} date
+ */
+export function nextTradingDay(date) {
+  let iso = shiftISO(toISO(date), 1);
+  while (!isTradingDay(iso)) iso = shiftISO(iso, 1);
+  return fromISO(iso, date);
+}
+
+/**
+ * `date` itself when it is a trading day, otherwise the trading day before it.
+ * @param {Date|string} date
+ */
+export function onOrBeforeTradingDay(date) {
+  return isTradingDay(date) ? fromISO(toISO(date), date) : previousTradingDay(date);
+}
+
+/**
+ * Move `n` trading days forward (negative: backward) from `date`.
+ * @param {Date|string} date
+ * @param {number} n
+ */
+export function addTradingDays(date, n) {
+  let iso = toISO(date);
+  const step = n < 0 ? previousTradingDay : nextTradingDay;
+  for (let i = 0; i < Math.abs(n); i++) iso = step(iso);
+  return fromISO(iso, date);
+}
+
+/**
+ * Trading days after `from` up to and including `to` (negative when `to` is earlier).
+ * @param {Date|string} from
+ * @param {Date|string} to
+ * @returns {number}
+ */
+export function tradingDaysBetween(from, to) {
+  let a = toISO(from);
+  let b = toISO(to);
+  const sign = a <= b ? 1 : -1;
+  if (sign < 0) [a, b] = [b, a];
+  let count = 0;
+  for (let iso = shiftISO(a, 1); iso <= b; iso = shiftISO(iso, 1)) {
+    if (isTradingDay(iso)) count++;
+  }
+  return sign * count;
+}
@@ -892,7 +892,7 @@
     setStatus(`Loading ${normalized}…`);
 
     const [hoverPack, storedData] = await Promise.all([
-      loadHoverData(normalized),
+      loadHoverData(normalized, { forceRefresh: !!opts.manual }),
       loadStoredData(normalized)
     ]);
 
@@ -905,7 +905,7 @@
     }
   }
 
-  function loadHoverData(symbol) {
+  function loadHoverData(symbol, opts = {}) {
     if (!hoverContentEl) return Promise.resolve();
     const requestId = ++hoverRequestId;
     hoverContentEl.innerHTML = `<div class="small muted">Fetching data for ${symbol}…</div>`;
@@ -913,7 +913,7 @@
 
     return new Promise((resolve) => {
       try {
-        chrome.runtime.sendMessage({ type: 'fetch-pack', symbol }, (resp) => {
+        chrome.runtime.sendMessage({ type: 'fetch-pack', symbol, forceRefresh: !!opts.forceRefresh }, (resp) => {
           if (hoverRequestId !== requestId) return resolve();
           if (chrome.runtime.lastError) {
             hoverContentEl.innerHTML = `<div class="err small">${chrome.runtime.lastError.message || 'Request failed'}</div>`;
@@ -1012,6 +1012,31 @@
     return `${stripTrailingZeros(num.toFixed(2))} days`;
   }
 
+  // Prior FINRA period with the change to the current one, stamped with the settlement date
+  function formatShortInterestPrior(pack) {
+    const previous = Number(pack?.shortInterestPrevious);
+    if (pack?.shortInterestPrevious == null || !Number.isFinite(previous)) return 'N/A';
+    const current = parseSharesValue(pack?.shortInterest);
+    const change = Number.isFinite(current) && previous > 0
+      ? ` (${current >= previous ? '+' : ''}${stripTrailingZeros((((current - previous) / previous) * 100).toFixed(1))}%)`
+      : '';
+    const settled = pack?.shortInterestSettlementDate ? ` · settled ${pack.shortInterestSettlementDate}` : '';
+    return `${Math.round(previous).toLocaleString()}${change}${settled}`;
+  }
+
+  // Latest daily short volume ratio with its average over the available history
+  function formatShortVolumeRatio(pack) {
+    const latest = Number(pack?.shortVolumeRatio);
+    if (pack?.shortVolumeRatio == null || !Number.isFinite(latest)) return 'N/A';
+    const ratios = (Array.isArray(pack?.shortVolumeHistory) ? pack.shortVolumeHistory : [])
+      .map(day => day?.ratio)
+      .filter(Number.isFinite);
+    const avg = ratios.length > 1
+      ? ` (${ratios.length}d avg ${stripTrailingZeros((ratios.reduce((a, b) => a + b, 0) / ratios.length).toFixed(1))}%)`
+      : '';
+    return `${stripTrailingZeros(latest.toFixed(1))}%${avg}`;
+  }
+
   function formatOptionsTrading(value) {
     if (value === true) return 'Yes';
     if (value === false) return 'No';
@@ -1067,21 +1092,6 @@
     return 'N/A';
   }
 
-  function parsePercentNumber(value) {
-    if (value === null || value === undefined) return NaN;
-    if (typeof value === 'number') {
-      return Number.isFinite(value) ? value : NaN;
-    }
-    const text = String(value).trim();
-    if (!text) return NaN;
-    const match = text.replace(/,/g, '').match(/([+-]?\d+(?:\.\d+)?)/);
-    if (!match) return NaN;
-    const num = parseFloat(match[1]);
-    if (!Number.isFinite(num)) return NaN;
-    if (text.includes('%')) return num;
-    return num > 1 ? num : num * 100;
-  }
-
   function renderHoverPack(symbol, pack) {
     if (!hoverContentEl) return;
     hoverContentEl.innerHTML = '';
@@ -1184,12 +1194,15 @@
 
     safeSetText('.shi-short-interest', formatShortInterestDisplay(pack.shortInterest));
     safeSetText('.shi-short-interest-ratio', formatDaysValue(pack.shortInterestRatio));
+    safeSetText('.shi-short-interest-prior', formatShortInterestPrior(pack));
     safeSetText('.shi-short-interest-percent-float', formatShortFloatPercentDisplay(pack.shortInterestPercentFloat, pack.shortInterest, pack.float));
     safeSetText('.shi-cost-to-borrow', formatPercentDisplay(pack.costToBorrow));
     safeSetText('.shi-short-shares-available', formatSharesDisplay(pack.shortSharesAvailable));
     safeSetText('.shi-finra-exempt-volume', formatSharesDisplay(pack.finraExemptVolume));
+    safeSetText('.shi-short-volume-ratio', formatShortVolumeRatio(pack));
     safeSetText('.shi-failure-to-deliver', formatCurrencyDisplay(pack.failureToDeliver));
     safeSetText('.shi-regsho-min-ftds', formatRegShoShares(pack.regShoMinFtds));
+    renderRegShoForecast(tooltip, pack.regShoForecast, pack.regShoThreshold);
 
     safeSetText('.shi-country', pack.country || 'N/A');
     safeSetText('.shi-sector', pack.sector || 'N/A');
@@ -1197,7 +1210,9 @@
     safeSetText('.shi-exchange', pack.exchange || 'N/A');
     safeSetText('.shi-options-enabled', formatOptionsTrading(pack.optionsTradingEnabled));
     safeSetText('.shi-regsho-threshold', formatYesNoValue(pack.regShoThreshold));
+    renderRegShoStreak(tooltip, pack.regShoStreak);
     safeSetText('.shi-last-data-update', pack.lastDataUpdate || 'N/A');
+    renderProvenance(tooltip, pack.provenance, pack.staleFields, pack.staleInputsScored);
 
     const regularChangeEl = tooltip.querySelector('.shi-regular-change');
     if (regularChangeEl) {
@@ -1234,6 +1249,8 @@
       squeezeScoreEl.textContent = 'Calculating…';
       updatePopupSqueezeScore(squeezeScoreEl, pack, symbol);
     }
+    renderScoreTrend(tooltip, pack.scoreHistory);
+    renderScoreRank(tooltip, pack.scoreRank);
 
     const rightCol = tooltip.querySelector('.shi-column-right');
     renderTooltipTables(rightCol, pack);
@@ -1246,6 +1263,7 @@
     const configs = [
       { key: 'shortBorrowRateTable', title: 'Cost To Borrow', maxRows: 5 },
       { key: 'failsToDeliverTable', title: 'Failure To Deliver (FTDs)', maxRows: 5 },
+      { key: 'shortSaleVolumeFinraTable', title: 'Short Sale Volume (FINRA)', maxRows: 5 },
       { key: 'shortSharesAvailabilityTable', title: 'Short Shares Available', maxRows: 3, preferredColumns: ['timeSinceLastChange', 'shortSharesAvailability'] }
     ];
 
@@ -1256,6 +1274,11 @@
       if (!rows || !rows.length) return;
       const card = buildTooltipTableCard(cfg.title, rows, cfg.maxRows || 5, cfg.preferredColumns || []);
       if (card) {
+        const heading = card.querySelector('.shi-table-title');
+        const stale = data?.staleFields?.[cfg.key];
+        heading.classList.toggle('shi-stale', !!stale);
+        const lines = [...describeStaleness(stale, data?.staleInputsScored), ...describeProvenance(data?.provenance?.[cfg.key])];
+        if (lines.length) heading.title = lines.join('\n');
         container.appendChild(card);
         hasContent = true;
       }
@@ -1360,44 +1383,39 @@
 
   function updatePopupSqueezeScore(targetEl, pack, symbol) {
     if (!targetEl) return;
-    loadSqueezeScoreModule().then(module => {
+    loadSqueezeScoreModule().then(async module => {
       if (symbol !== currentSymbol) return;
       if (!module || typeof module.scoreConsensus !== 'function') {
         targetEl.textContent = 'N/A';
         return;
       }
-      const floatShares = parseSharesValue(pack.float);
-      const siPct = parsePercentNumber(pack.shortInterestPercentFloat);
-      const costToBorrowPct = parsePercentNumber(pack.costToBorrow);
-      const ftdValue = typeof pack.failureToDeliver === 'number'
-        ? pack.failureToDeliver
-        : parseFloat(String(pack.failureToDeliver || '').replace(/[$,]/g, ''));
-      const regShoShares = parseSharesValue(pack.regShoMinFtds);
-      const regshoFlag = Number.isFinite(regShoShares) && regShoShares > 0;
-
-      let siValue = siPct;
-      if (!Number.isFinite(siValue)) {
-        const computed = computeShortFloatPercent(pack.shortInterest, pack.float);
-        siValue = parsePercentNumber(computed);
-      }
-
-      if (!Number.isFinite(floatShares) || floatShares <= 0 || !Number.isFinite(siValue)) {
+      const profile = typeof module.loadActiveProfile === 'function'
+        ? await module.loadActiveProfile()
+        : null;
+      const payload = typeof module.scoreInputsFromPack === 'function' ? module.scoreInputsFromPack(pack, profile || undefined) : null;
+      if (!payload) {
         targetEl.textContent = 'N/A';
         return;
       }
 
       try {
-        const score = module.scoreConsensus({
-          float_shares: floatShares,
-          si_pct: siValue,
-          ctb: Number.isFinite(costToBorrowPct) ? costToBorrowPct : 0,
-          ftd_val: Number.isFinite(ftdValue) ? ftdValue : 0,
-          regsho: regshoFlag
-        });
+        const score = module.scoreConsensus(payload, profile || undefined);
         if (symbol !== currentSymbol) return;
-        targetEl.textContent = Number.isFinite(score)
-          ? (score.toFixed(1).endsWith('.0') ? score.toFixed(1).slice(0, -2) : stripTrailingZeros(score.toFixed(1)))
-          : 'N/A';
+        if (Number.isFinite(score)) {
+          const completeness = typeof module.inputCompleteness === 'function' ? module.inputCompleteness(payload) : null;
+          renderSqueezeScore(targetEl, score.toFixed(1).endsWith('.0') ? score.toFixed(1).slice(0, -2) : stripTrailingZeros(score.toFixed(1)), profile, completeness);
+          if (typeof module.explainScore === 'function') {
+            renderScoreExplanation(targetEl.closest('.shi-tooltip'), module.explainScore(payload, profile || undefined));
+          }
+          if (typeof module.scoreSensitivity === 'function') {
+            renderScoreRange(targetEl.closest('.shi-tooltip'), module.scoreSensitivity(payload, {
+              profile: profile || undefined,
+              alternates: pack.inputAlternates || undefined
+            }));
+          }
+        } else {
+          targetEl.textContent = 'N/A';
+        }
       } catch (err) {
         console.error(`❌ Failed to compute squeeze score for ${symbol}:`, err);
         targetEl.textContent = 'N/A';
@@ -1408,6 +1426,254 @@
     });
   }
 
+  // Score, rank, range, trend, Reg SHO and provenance renderers, shared with the
+  // popup (tooltip_template.js)
+  const {
+    renderSqueezeScore, renderScoreExplanation, renderScoreTrend, renderScoreRank, renderScoreRange,
+    renderRegShoStreak, renderRegShoForecast, renderProvenance, describeProvenance, describeStaleness
+  } = window.QSETooltipTemplate;
+
+  // --- Scoring profiles editor ---
+  const profileSelect = $('#profileSelect');
+  const profileNameInput = $('#profileName');
+  const profileJsonEl = $('#profileJson');
+
+  async function refreshProfileEditor(selectName) {
+    const module = await loadSqueezeScoreModule();
+    if (!module || !profileSelect) return;
+    const [profiles, active] = await Promise.all([module.listProfiles(), module.loadActiveProfile()]);
+    const defaultName = module.DEFAULT_PROFILE.name;
+    const names = [defaultName, ...Object.keys(profiles).sort()];
+    profileSelect.innerHTML = '';
+    names.forEach(name => {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name === active.name ? `${name} (active)` : name;
+      profileSelect.appendChild(opt);
+    });
+    profileSelect.value = names.includes(selectName) ? selectName : active.name;
+    showProfileInEditor(module, profiles, profileSelect.value);
+  }
+
+  function showProfileInEditor(module, profiles, name) {
+    const isDefault = name === module.DEFAULT_PROFILE.name;
+    const source = isDefault ? module.DEFAULT_PROFILE : (profiles[name] || {});
+    const { name: _omit, ...overrides } = source;
+    if (profileNameInput) profileNameInput.value = isDefault ? '' : name;
+    if (profileJsonEl) profileJsonEl.value = JSON.stringify(overrides, null, 2);
+  }
+
+  async function handleProfileAction(action) {
+    const module = await loadSqueezeScoreModule();
+    if (!module) {
+      setStatus('Squeeze score module unavailable', true);
+      return;
+    }
+    try {
+      if (action === 'select') {
+        showProfileInEditor(module, await module.listProfiles(), profileSelect.value);
+        return;
+      }
+      if (action === 'save') {
+        const name = (profileNameInput?.value || '').trim();
+        const overrides = JSON.parse(profileJsonEl?.value || '{}');
+        await module.saveProfile(name, overrides);
+        await refreshProfileEditor(name);
+        setStatus(`Saved profile "${name}"`);
+        return;
+      }
+      if (action === 'activate') {
+        await module.setActiveProfile(profileSelect.value);
+        setStatus(`Scoring with "${profileSelect.value}"`);
+      } else if (action === 'delete') {
+        if (profileSelect.value === module.DEFAULT_PROFILE.name) {
+          setStatus('The Default profile cannot be deleted', true);
+          return;
+        }
+        await module.deleteProfile(profileSelect.value);
+        setStatus(`Deleted profile "${profileSelect.value}"`);
+      }
+      await refreshProfileEditor();
+      if (currentSymbol) loadForSymbol(currentSymbol, { manual: false });
+    } catch (err) {
+      console.error('❌ Profile action failed:', err);
+      setStatus(err instanceof SyntaxError ? 'Profile JSON is invalid' : (err.message || 'Profile action failed'), true);
+    }
+  }
+
+  if (profileSelect) profileSelect.addEventListener('change', () => handleProfileAction('select'));
+  $('#profileSave')?.addEventListener('click', () => handleProfileAction('save'));
+  $('#profileActivate')?.addEventListener('click', () => handleProfileAction('activate'));
+  $('#profileDelete')?.addEventListener('click', () => handleProfileAction('delete'));
+
+  // --- Backtest ---
+  const BACKTEST_MODEL_LABELS = { additive: 'Additive', multiplicative: 'Multiplicative', consensus: 'Consensus' };
+
+  function formatRatio(value) {
+    return value == null ? '—' : `${(value * 100).toFixed(0)}%`;
+  }
+
+  function formatReturn(value) {
+    return value == null ? '—' : `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+  }
+
+  function renderBacktestReport(container, report) {
+    container.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.className = 'small';
+    const span = report.from ? ` · ${report.from} → ${report.to}` : '';
+    summary.textContent = `${report.rows} rows${span} · profile "${report.profile}" · hit = return ≥ ${report.hitThreshold}%`;
+    container.appendChild(summary);
+
+    if (report.errors && report.errors.length) {
+      const errTitle = document.createElement('div');
+      errTitle.className = 'table-title err';
+      errTitle.textContent = `${report.errors.length} problem(s) — affected rows were left out`;
+      container.appendChild(errTitle);
+      container.appendChild(makeTable(['Row', 'Column', 'Reason'], report.errors.map(e => [e.row, e.column ?? '—', e.reason]), 10));
+    }
+
+    Object.entries(report.horizons).forEach(([column, horizon]) => {
+      const title = document.createElement('div');
+      title.className = 'section-title';
+      title.textContent = `${column} — ${horizon.count} rows, base hit rate ${formatRatio(horizon.baseRate)}, mean ${formatReturn(horizon.meanReturn)}`;
+      container.appendChild(title);
+
+      const models = Object.keys(horizon.models);
+      const decileRows = [];
+      for (let d = 1; d <= 10; d++) {
+        const cells = models.map(model => {
+          const bucket = horizon.models[model].deciles.find(x => x.decile === d);
+          return bucket ? `${formatReturn(bucket.avgReturn)} · ${formatRatio(bucket.hitRate)} (${bucket.minScore}–${bucket.maxScore})` : '—';
+        });
+        if (cells.some(c => c !== '—')) decileRows.push([`D${d}`, ...cells]);
+      }
+      const decileTitle = document.createElement('div');
+      decileTitle.className = 'table-title';
+      decileTitle.textContent = 'Avg return · hit rate (score range) by decile';
+      container.appendChild(decileTitle);
+      container.appendChild(makeTable(['Decile', ...models.map(m => BACKTEST_MODEL_LABELS[m] || m)], decileRows));
+
+      const cutoffRows = report.cutoffs.map((cutoff, i) => [
+        `≥ ${cutoff}`,
+        ...models.map(model => {
+          const stats = horizon.models[model].cutoffs[i];
+          return `${formatRatio(stats.precision)} of ${stats.count} · recall ${formatRatio(stats.recall)} · ${formatReturn(stats.avgReturn)}`;
+        })
+      ]);
+      const cutoffTitle = document.createElement('div');
+      cutoffTitle.className = 'table-title';
+      cutoffTitle.textContent = 'Precision at cutoff';
+      container.appendChild(cutoffTitle);
+      container.appendChild(makeTable(['Score', ...models.map(m => BACKTEST_MODEL_LABELS[m] || m)], cutoffRows));
+    });
+  }
+
+  async function runBacktest() {
+    const result = $('#backtestResult');
+    const file = $('#backtestFile')?.files?.[0];
+    if (!file) {
+      setStatus('Choose a backtest CSV first', true);
+      return;
+    }
+    const module = await loadSqueezeScoreModule();
+    if (!module) {
+      setStatus('Squeeze score module unavailable', true);
+      return;
+    }
+    try {
+      const cutoffs = String($('#backtestCutoffs')?.value || '')
+        .split(/[,\s]+/)
+        .filter(Boolean)
+        .map(Number)
+        .filter(Number.isFinite);
+      const hitText = String($('#backtestHit')?.value || '').trim();
+      const hitThreshold = hitText ? Number(hitText) : NaN;
+      const report = module.backtestFromCSV(await file.text(), {
+        cutoffs: cutoffs.length ? cutoffs : undefined,
+        hitThreshold: Number.isFinite(hitThreshold) ? hitThreshold : undefined,
+        profile: await module.loadActiveProfile()
+      });
+      if (result) renderBacktestReport(result, report);
+      setStatus(`Backtested ${report.rows} rows from ${file.name}`);
+    } catch (err) {
+      console.error('❌ Backtest failed:', err);
+      if (result) result.innerHTML = '';
+      setStatus(err.message || 'Backtest failed', true);
+    }
+  }
+
+  $('#backtestRun')?.addEventListener('click', runBacktest);
+
+  // --- Calibration ---
+  function renderCalibrationReport(container, report, name) {
+    container.innerHTML = '';
+    const summary = document.createElement('div');
+    summary.className = 'small';
+    summary.textContent = `${report.rows} rows · ${report.positives} squeezed · saved as "${name}"`;
+    container.appendChild(summary);
+
+    if (report.errors && report.errors.length) {
+      const errTitle = document.createElement('div');
+      errTitle.className = 'table-title err';
+      errTitle.textContent = `${report.errors.length} problem(s) — affected rows were left out`;
+      container.appendChild(errTitle);
+      container.appendChild(makeTable(['Row', 'Column', 'Reason'], report.errors.map(e => [e.row, e.column ?? '—', e.reason]), 10));
+    }
+
+    const compareTitle = document.createElement('div');
+    compareTitle.className = 'table-title';
+    compareTitle.textContent = `Holdout comparison (${report.holdoutRows || report.rows} rows)`;
+    container.appendChild(compareTitle);
+    const labels = { fitted: 'Fitted', ...BACKTEST_MODEL_LABELS };
+    container.appendChild(makeTable(
+      ['Model', 'AUC', 'Accuracy', 'Cutoff'],
+      Object.entries(report.comparison).map(([model, stats]) => [
+        labels[model] || model,
+        stats.auc == null ? '—' : stats.auc.toFixed(3),
+        formatRatio(stats.accuracy),
+        stats.threshold == null ? '—' : `≥ ${Math.round(stats.threshold * 10) / 10}`
+      ])
+    ));
+
+    const weightTitle = document.createElement('div');
+    weightTitle.className = 'table-title';
+    weightTitle.textContent = 'Fitted component weights (1 = unchanged)';
+    container.appendChild(weightTitle);
+    container.appendChild(makeTable(['Component', 'Weight'], Object.entries(report.weights).map(([k, w]) => [k, w.toFixed(2)])));
+  }
+
+  async function runCalibration() {
+    const result = $('#calibrateResult');
+    const file = $('#calibrateFile')?.files?.[0];
+    if (!file) {
+      setStatus('Choose a labeled CSV first', true);
+      return;
+    }
+    const module = await loadSqueezeScoreModule();
+    if (!module) {
+      setStatus('Squeeze score module unavailable', true);
+      return;
+    }
+    try {
+      const name = ($('#calibrateName')?.value || '').trim() || `Calibrated ${new Date().toISOString().slice(0, 10)}`;
+      const [active, profiles] = await Promise.all([module.loadActiveProfile(), module.listProfiles()]);
+      const report = module.calibrateFromCSV(await file.text(), { profile: active });
+      // Keep the active profile's other overrides (guardrails, formula models, …)
+      const { name: _omit, ...activeOverrides } = profiles[active.name] || {};
+      await module.saveProfile(name, { ...activeOverrides, ...report.overrides });
+      if (result) renderCalibrationReport(result, report, name);
+      await refreshProfileEditor(name);
+      setStatus(`Fitted ${report.rows} rows from ${file.name}; saved profile "${name}"`);
+    } catch (err) {
+      console.error('❌ Calibration failed:', err);
+      if (result) result.innerHTML = '';
+      setStatus(err.message || 'Calibration failed', true);
+    }
+  }
+
+  $('#calibrateRun')?.addEventListener('click', runCalibration);
+
   async function loadInitial() {
     setStatus('Loading…');
     const tab = await getActiveTab();
@@ -1428,6 +1694,7 @@
     // Clean storage once per popup open
     await cleanupStorage({ silent: true });
     await loadForSymbol(initialSymbol, { manual: false });
+    await refreshProfileEditor();
   }
 
   // --- Cleanup: purge blacklisted value keys across all tickers ---
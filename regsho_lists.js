@@ -0,0 +1,293 @@
+/**
+ * @file
+ * regsho_lists.js
+ *
+ * Daily Reg SHO threshold-list store. Each exchange list is downloaded once per
+ * trading date, parsed into its symbols and kept in chrome.storage.local, so
+ * every fetchRegShoStatus lookup answers from memory:
+ *
+ *   nasdaq  https://www.nasdaqtrader.com/dynamic/symdir/regsho/nasdaqthYYYYMMDD.txt
+ *   nyse    https://www.nyse.com/api/regulatory/threshold-securities/download (one file per market)
+ *
+ * Both are pipe-delimited with a header line and the symbol in the first column.
+ * A list that is not published yet, or an NYSE date some of the five market
+ * files failed for, is retried after REG_SHO_RETRY_MS.
+ *
+ * thresholdStreak() walks the stored lists back over trading days to date a
+ * symbol's current run on the list (and its Rule 203(b)(3) close-out), and keeps
+ * each symbol's past runs so long streaks and removals survive list pruning.
+ * It never downloads: warmThresholdLists() fills the store in the background.
+ */
+
+import { addTradingDays, nextTradingDay, onOrBeforeTradingDay, previousTradingDay, tradingDaysBetween } from './market_calendar.js';
+
+const REG_SHO_MARKETS = ['NYSE', 'NYSE American', 'NYSE Arca', 'NYSE National', 'NYSE Chicago'];
+const REG_SHO_DAYS_KEPT = 30; // trading dates of lists kept (enough for list streaks)
+const REG_SHO_RETRY_MS = 30 * 60 * 1000;
+
+const REG_SHO_CLOSE_OUT_DAYS = 13; // consecutive settlement days on the list before a mandatory close-out
+const REG_SHO_RECENT_REMOVAL_DAYS = 5; // trading days a removal stays flagged
+const REG_SHO_RUNS_KEPT = 10; // past runs kept per symbol
+
+const STORAGE_KEY = 'regsho_threshold_lists'; // { "<source>:<YYYY-MM-DD>": entry }
+const HISTORY_STORAGE_KEY = 'regsho_symbol_history'; // { SYMBOL: [{ added, through, removed, complete }] } newest run first
+
+let memory = null; // same shape as STORAGE_KEY
+let memoryLoad = null;
+const pendingLists = new Map(); // "<source>:<date>" -> download promise
+let pendingWarm = null;
+let writeChain = Promise.resolve();
+let history = null; // same shape as HISTORY_STORAGE_KEY
+let historyLoad = null;
+let historyWriteChain = Promise.resolve();
+
+/**
+ * Symbols on one threshold-list file (header and non-symbol lines such as
+ * Nasdaq's "File Creation Time" trailer are skipped).
+ * @param {string} text
+ * @returns {string[]} unique, upper-case, sorted
+ */
+export function parseThresholdList(text) {
+  const symbols = new Set();
+  String(text || '').split(/\r?\n/).forEach((line, idx) => {
+    if (idx === 0 || !line.includes('|')) return;
+    const first = line.split('|')[0].trim().toUpperCase();
+    if (/^[A-Z][A-Z0-9.\-]{0,9}$/.test(first)) symbols.add(first);
+  });
+  return [...symbols].sort();
+}
+
+async function downloadNasdaqList(isoDate) {
+  const url = `https://www.nasdaqtrader.com/dynamic/symdir/regsho/nasdaqth${isoDate.replace(/-/g, '')}.txt`;
+  const resp = await fetch(url, { cache: 'no-cache' });
+  if (!resp.ok) return null;
+  return { symbols: parseThresholdList(await resp.text()) };
+}
+
+// Markets already downloaded for the date (from a partial entry) are kept, not refetched
+async function downloadNyseLists(isoDate, previous) {
+  const markets = { ...(previous?.markets || {}) };
+  for (const market of REG_SHO_MARKETS) {
+    if (markets[market]) continue;
+    const url = `https://www.nyse.com/api/regulatory/threshold-securities/download?selectedDate=${isoDate}&market=${encodeURIComponent(market)}`;
+    try {
+      const resp = await fetch(url, { cache: 'no-cache' });
+      if (!resp.ok) continue;
+      const text = await resp.text();
+      if (!text || !text.includes('|')) continue;
+      markets[market] = parseThresholdList(text);
+    } catch (err) {
+      console.warn(`⚠️ NYSE RegSHO list failed for ${isoDate} (${market}):`, err);
+    }
+  }
+  const answered = Object.keys(markets).length;
+  if (!answered) return null;
+  return answered < REG_SHO_MARKETS.length ? { markets, partial: true } : { markets };
+}
+
+const DOWNLOADERS = { nasdaq: downloadNasdaqList, nyse: downloadNyseLists };
+
+async function loadMemory() {
+  if (memory) return memory;
+  if (!memoryLoad) {
+    memoryLoad = chrome.storage.local.get(STORAGE_KEY)
+      .then(res => { memory = res[STORAGE_KEY] || {}; return memory; })
+      .catch(() => { memory = {}; return memory; });
+  }
+  return memoryLoad;
+}
+
+// Drop lists older than the newest REG_SHO_DAYS_KEPT dates and persist
+function persist() {
+  const dates = [...new Set(Object.keys(memory).map(key => key.split(':')[1]))].sort().reverse();
+  const keep = new Set(dates.slice(0, REG_SHO_DAYS_KEPT));
+  for (const key of Object.keys(memory)) {
+    if (!keep.has(key.split(':')[1])) delete memory[key];
+  }
+  const snapshot = { ...memory };
+  writeChain = writeChain
+    .then(() => chrome.storage.local.set({ [STORAGE_KEY]: snapshot }))
+    .catch(err => console.warn('⚠️ RegSHO list store write failed:', err));
+  return writeChain;
+}
+
+/**
+ * One exchange's threshold list for a trading date, downloaded at most once
+ * (a missing list, or an NYSE list some markets did not answer for, is retried
+ * after REG_SHO_RETRY_MS).
+ * @param {'nasdaq'|'nyse'} source
+ * @param {string} isoDate YYYY-MM-DD
+ * @returns {Promise<{date: string, fetchedAt: number, symbols?: string[], markets?: Record<string, string[]>, partial?: boolean}|null>}
+ *   null when the list is not (yet) published for that date; `partial` when
+ *   some NYSE markets are still missing from `markets`.
+ */
+export async function thresholdList(source, isoDate) {
+  const store = await loadMemory();
+  const key = `${source}:${isoDate}`;
+  const cached = store[key];
+  if (cached && !cached.missing && !cached.partial) return { date: isoDate, ...cached };
+  if (cached && (Date.now() - cached.fetchedAt) < REG_SHO_RETRY_MS) return cached.missing ? null : { date: isoDate, ...cached };
+
+  if (!pendingLists.has(key)) {
+    const job = (async () => {
+      let list = null;
+      try {
+        list = await DOWNLOADERS[source](isoDate, cached?.partial ? cached : null);
+      } catch (err) {
+        console.warn(`⚠️ RegSHO ${source} list failed for ${isoDate}:`, err);
+      }
+      store[key] = list ? { fetchedAt: Date.now(), ...list } : { fetchedAt: Date.now(), missing: true };
+      await persist();
+      return list ? { date: isoDate, ...store[key] } : null;
+    })().finally(() => pendingLists.delete(key));
+    pendingLists.set(key, job);
+  }
+  return pendingLists.get(key);
+}
+
+/**
+ * Download the lists of the REG_SHO_DAYS_KEPT trading dates up to `isoDate`
+ * that are not stored yet, one date at a time. The worker runs this in the
+ * background; thresholdStreak only reads what it has stored. Concurrent
+ * callers share one run.
+ * @param {string} isoDate YYYY-MM-DD, normally the latest list date
+ */
+export function warmThresholdLists(isoDate) {
+  if (!pendingWarm) {
+    pendingWarm = (async () => {
+      let day = onOrBeforeTradingDay(isoDate);
+      for (let i = 0; i < REG_SHO_DAYS_KEPT; i++) {
+        await Promise.all([thresholdList('nasdaq', day), thresholdList('nyse', day)]);
+        day = previousTradingDay(day);
+      }
+    })()
+      .catch(err => console.warn('⚠️ RegSHO list warm-up failed:', err))
+      .finally(() => { pendingWarm = null; });
+  }
+  return pendingWarm;
+}
+
+// A stored list for a date (never downloaded here), null when none is stored
+async function storedList(source, isoDate) {
+  const cached = (await loadMemory())[`${source}:${isoDate}`];
+  return cached && !cached.missing ? cached : null;
+}
+
+// true/false for a trading date, null when no stored list covers it. A symbol
+// missing from one exchange's list only counts as off when both exchanges
+// published complete lists.
+async function onListOn(symbol, isoDate) {
+  const [nasdaq, nyse] = await Promise.all([storedList('nasdaq', isoDate), storedList('nyse', isoDate)]);
+  const listed = !!nasdaq?.symbols?.includes(symbol)
+    || Object.values(nyse?.markets || {}).some(symbols => symbols.includes(symbol));
+  if (listed) return true;
+  return nasdaq && nyse && !nyse.partial ? false : null;
+}
+
+async function loadHistory() {
+  if (history) return history;
+  if (!historyLoad) {
+    historyLoad = chrome.storage.local.get(HISTORY_STORAGE_KEY)
+      .then(res => { history = res[HISTORY_STORAGE_KEY] || {}; return history; })
+      .catch(() => { history = {}; return history; });
+  }
+  return historyLoad;
+}
+
+function persistHistory() {
+  const snapshot = { ...history };
+  historyWriteChain = historyWriteChain
+    .then(() => chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: snapshot }))
+    .catch(err => console.warn('⚠️ RegSHO symbol history write failed:', err));
+  return historyWriteChain;
+}
+
+// Record a run (matched on its start date, or else its last day) and persist
+function recordRun(symbol, run) {
+  const runs = [...(history[symbol] || [])];
+  const idx = runs.findIndex(r => (run.added && r.added === run.added) || r.through === run.through);
+  if (idx >= 0) runs[idx] = { ...runs[idx], ...run };
+  else runs.unshift(run);
+  runs.sort((a, b) => (a.through < b.through ? 1 : a.through > b.through ? -1 : 0));
+  history[symbol] = runs.slice(0, REG_SHO_RUNS_KEPT);
+  return persistHistory();
+}
+
+// First day of the run that includes `date` (a day the symbol was on the list),
+// from recorded runs or by walking the stored lists back. `complete` is false
+// when the lists ran out before the run's start; an incomplete recorded run is
+// walked on from its first day, since the lists may have been filled in since.
+async function runStart(symbol, date) {
+  let added = date;
+  let day = previousTradingDay(date);
+  for (let seen = 1; seen < REG_SHO_DAYS_KEPT; seen++) {
+    const run = (history[symbol] || []).find(r => r.added && r.added <= day && day <= r.through);
+    if (run?.complete) return { added: run.added, complete: true };
+    if (run) {
+      added = run.added;
+      day = previousTradingDay(run.added);
+      continue;
+    }
+    const on = await onListOn(symbol, day);
+    if (on !== true) return { added, complete: on === false };
+    added = day;
+    day = previousTradingDay(day);
+  }
+  return { added, complete: false };
+}
+
+/**
+ * A symbol's current (or just-ended) run on the threshold lists, as of the
+ * newest trading date on or before `isoDate` that the stored lists cover.
+ * @param {string} symbol
+ * @param {string} isoDate YYYY-MM-DD, normally the latest list date
+ * @returns {Promise<{onList: boolean, date: string, addedDate: string|null, days: number|null, complete: boolean, closeOutDate: string|null, removedDate: string|null, recentlyRemoved: boolean, runs: Array<{added: string|null, through: string, removed: string|null, complete: boolean}>}|null>}
+ *   `days` counts trading days on the list including `date`; `complete` is
+ *   false when the run started before the oldest stored list (so `days` is a
+ *   lower bound). `closeOutDate` is the 13th consecutive settlement day.
+ *   `runs` is the symbol's list-change history, newest first.
+ */
+export async function thresholdStreak(symbol, isoDate) {
+  const key = String(symbol || '').toUpperCase();
+  if (!key || !isoDate) return null;
+  await loadHistory();
+
+  let date = isoDate;
+  let status = null;
+  for (let i = 0; i < 5 && status == null; i++) {
+    status = await onListOn(key, date);
+    if (status == null) date = previousTradingDay(date);
+  }
+  if (status == null) return null;
+
+  const result = { onList: status, date, addedDate: null, days: null, complete: false, closeOutDate: null, removedDate: null, recentlyRemoved: false };
+
+  if (status) {
+    const { added, complete } = await runStart(key, date);
+    await recordRun(key, { added, through: date, removed: null, complete });
+    Object.assign(result, {
+      addedDate: added,
+      days: tradingDaysBetween(added, date) + 1,
+      complete,
+      closeOutDate: addTradingDays(added, REG_SHO_CLOSE_OUT_DAYS - 1)
+    });
+  } else {
+    // Look back a few trading days for the last day on the list
+    let day = previousTradingDay(date);
+    for (let i = 0; i < REG_SHO_RECENT_REMOVAL_DAYS; i++) {
+      const recorded = (history[key] || []).some(r => r.through === day);
+      const on = recorded ? true : await onListOn(key, day);
+      if (on === true) {
+        const removed = nextTradingDay(day);
+        const { added, complete } = await runStart(key, day);
+        await recordRun(key, { added, through: day, removed, complete });
+        Object.assign(result, { removedDate: removed, recentlyRemoved: true });
+        break;
+      }
+      if (on == null) break;
+      day = previousTradingDay(day);
+    }
+    if (!result.removedDate) result.removedDate = (history[key] || [])[0]?.removed ?? null;
+  }
+  return { ...result, runs: history[key] || [] };
+}
@@ -0,0 +1,360 @@
+/**
+ * @file
+ * sec_ftd.js
+ *
+ * SEC fails-to-deliver data: the semi-monthly zipped, pipe-delimited files
+ * (cnsfailsYYYYMMa.zip covers the 1st–15th, ...b.zip the rest of the month).
+ *
+ *   SETTLEMENT DATE|CUSIP|SYMBOL|QUANTITY (FAILS)|DESCRIPTION|PRICE
+ *   20240102|000360206|AAON|1050|AAON INC|85.72
+ *
+ * parseFtdFile / indexFtdRows / ftdSummary / thresholdForecast are pure so they
+ * can be run against saved copies of a file. loadFtdIndexes keeps the newest SEC_FTD_FILES_KEPT
+ * files indexed by symbol in chrome.storage.local and checks for new ones
+ * every SEC_FTD_CHECK_MS (SEC_FTD_RETRY_MS after a check that failed);
+ * lookupFtd only reads what is stored, so a pack never waits on the zips.
+ */
+
+import { addTradingDays, nextTradingDay, previousTradingDay } from './market_calendar.js';
+
+export const SEC_FTD_BASE_URL = 'https://www.sec.gov/files/data/fails-deliver-data/';
+export const SEC_FTD_FILES_KEPT = 2; // about one month of settlement dates
+export const SEC_FTD_CHECK_MS = 12 * 60 * 60 * 1000;
+const SEC_FTD_RETRY_MS = 30 * 60 * 1000;
+const SEC_FTD_MONTHS_BACK = 3; // files are published with a lag of a few weeks
+
+// Reg SHO Rule 203(c)(6) threshold test: fails of at least this many shares and
+// this fraction of shares outstanding for this many consecutive settlement days
+const REG_SHO_MIN_FTD_SHARES = 10000;
+const REG_SHO_MIN_FTD_FRACTION = 0.005;
+const REG_SHO_QUALIFYING_DAYS = 5;
+
+const META_STORAGE_KEY = 'sec_ftd_meta'; // { checkedAt, failedAt, files: [name, ...] } newest first
+const FILE_STORAGE_PREFIX = 'sec_ftd_file_'; // per-file index, see indexFtdRows
+
+let memory = null; // { checkedAt, failedAt, files: [{ name, index }] }
+let pendingRefresh = null;
+
+function parseQuantity(value) {
+  const s = String(value ?? '').trim().replace(/,/g, '');
+  if (!/^\d+$/.test(s)) return null;
+  return Number(s);
+}
+
+function parsePrice(value) {
+  const s = String(value ?? '').trim().replace(/[$,]/g, '');
+  if (!s || s === '.') return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Parse one (unzipped) FTD file.
+ * @param {string} text
+ * @returns {{rows: Array<{date: string, cusip: string, symbol: string, quantity: number, description: string, price: number|null}>, skipped: number}}
+ *   `date` is the settlement date as YYYY-MM-DD; price is null when the SEC
+ *   left it blank. Header and "Trailer" lines are ignored; other malformed
+ *   lines are counted in `skipped`.
+ */
+export function parseFtdFile(text) {
+  const rows = [];
+  let skipped = 0;
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || /^settlement date\|/i.test(line) || /^trailer/i.test(line)) continue;
+    const fields = line.split('|');
+    const m = (fields[0] || '').trim().match(/^(\d{4})(\d{2})(\d{2})$/);
+    const symbol = (fields[2] || '').trim().toUpperCase();
+    const quantity = parseQuantity(fields[3]);
+    if (fields.length < 6 || !m || !symbol || quantity == null) {
+      skipped++;
+      continue;
+    }
+    rows.push({
+      date: `${m[1]}-${m[2]}-${m[3]}`,
+      cusip: (fields[1] || '').trim(),
+      symbol,
+      quantity,
+      description: fields.slice(4, -1).join('|').trim(),
+      price: parsePrice(fields[fields.length - 1])
+    });
+  }
+  return { rows, skipped };
+}
+
+/**
+ * Index parsed rows by symbol: { SYMBOL: [[date, quantity, price], ...] },
+ * newest settlement date first. Compact so a month of files fits in storage.
+ * @param {Array<object>} rows from parseFtdFile
+ * @returns {Record<string, Array<[string, number, number|null]>>}
+ */
+export function indexFtdRows(rows) {
+  const index = {};
+  for (const row of rows) {
+    (index[row.symbol] ||= []).push([row.date, row.quantity, row.price]);
+  }
+  for (const entries of Object.values(index)) entries.sort((a, b) => (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0));
+  return index;
+}
+
+/**
+ * File names to look for, newest first: the b and a halves of the current
+ * month and the SEC_FTD_MONTHS_BACK months before it.
+ * @param {Date} now
+ * @returns {string[]}
+ */
+export function ftdFileNames(now) {
+  const names = [];
+  for (let back = 0; back <= SEC_FTD_MONTHS_BACK; back++) {
+    const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - back, 1));
+    const stamp = `${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, '0')}`;
+    names.push(`cnsfails${stamp}b`, `cnsfails${stamp}a`);
+  }
+  return names;
+}
+
+const formatCount = (n) => Math.round(n).toLocaleString('en-US');
+const formatDollars = (n) => {
+  const digits = n < 100 ? 2 : 0;
+  return `$${n.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })}`;
+};
+
+/**
+ * Merge a symbol's entries from several file indexes into the pack's FTD view.
+ * @param {Array<Record<string, Array>>} indexes newest file first
+ * @param {string} symbol
+ * @param {number=} limit table rows to return
+ * @returns {{value: number|null, date: string, table: Array<{date: string, quantity: string, price: string, value: string}>, history: Array<{date: string, quantity: number}>}|null}
+ *   `value` is the latest settlement date's dollar value (quantity × price,
+ *   borrowing the nearest date's price when the SEC left it blank); table
+ *   values are display strings, newest first. `history` has every indexed
+ *   settlement date's quantity, newest first.
+ */
+export function ftdSummary(indexes, symbol, limit = 10) {
+  const key = String(symbol || '').toUpperCase();
+  const byDate = new Map();
+  for (const index of indexes) {
+    for (const entry of index?.[key] || []) {
+      if (!byDate.has(entry[0])) byDate.set(entry[0], entry);
+    }
+  }
+  if (!byDate.size) return null;
+  const entries = [...byDate.values()].sort((a, b) => (a[0] < b[0] ? 1 : a[0] > b[0] ? -1 : 0));
+  const priceAt = (i) => {
+    for (let d = 0; d < entries.length; d++) {
+      const older = entries[i + d]?.[2];
+      if (older != null) return older;
+      const newer = entries[i - d]?.[2];
+      if (newer != null) return newer;
+    }
+    return null;
+  };
+  const dollarValue = (i) => {
+    const price = priceAt(i);
+    return price == null ? null : entries[i][1] * price;
+  };
+  return {
+    value: dollarValue(0),
+    date: entries[0][0],
+    table: entries.slice(0, limit).map((entry, i) => {
+      const value = dollarValue(i);
+      return {
+        date: entry[0],
+        quantity: formatCount(entry[1]),
+        price: entry[2] == null ? '' : formatDollars(entry[2]),
+        value: value == null ? '' : formatDollars(Math.round(value))
+      };
+    }),
+    history: entries.map(entry => ({ date: entry[0], quantity: entry[1] }))
+  };
+}
+
+/**
+ * Whether FTDs meet the Reg SHO threshold test (at least 10,000 shares and 0.5%
+ * of shares outstanding) on consecutive settlement days up to the newest date.
+ * A settlement day missing from `days` had no reported fails.
+ * @param {Array<{date: string, quantity: number}>} days YYYY-MM-DD dates, any order
+ * @param {number} sharesOutstanding
+ * @returns {{asOf: string, minShares: number, consecutiveDays: number, qualifyingDays: number, required: number, qualified: boolean, metDate: string|null, listDate: string|null, earliestListDate: string|null, recent: Array<{date: string, quantity: number, qualifies: boolean}>}|null}
+ *   When the test is met, `metDate` is the fifth qualifying day and `listDate`
+ *   the trading day after it; otherwise `earliestListDate` is when the symbol could be listed if
+ *   every following day qualifies. `recent` covers the last five settlement
+ *   days, newest first. Null without shares outstanding or FTD data.
+ */
+export function thresholdForecast(days, sharesOutstanding) {
+  if (!(Number(sharesOutstanding) > 0)) return null;
+  const byDate = new Map();
+  for (const day of Array.isArray(days) ? days : []) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(day?.date || '') && Number.isFinite(day.quantity) && !byDate.has(day.date)) {
+      byDate.set(day.date, day.quantity);
+    }
+  }
+  if (!byDate.size) return null;
+
+  const minShares = Math.max(REG_SHO_MIN_FTD_SHARES, Math.ceil(sharesOutstanding * REG_SHO_MIN_FTD_FRACTION));
+  const asOf = [...byDate.keys()].sort().pop();
+  const quantityOn = (date) => byDate.get(date) ?? 0;
+
+  let consecutiveDays = 0;
+  let runStart = asOf;
+  for (let day = asOf; quantityOn(day) >= minShares; day = previousTradingDay(day)) {
+    consecutiveDays++;
+    runStart = day;
+  }
+  const qualified = consecutiveDays >= REG_SHO_QUALIFYING_DAYS;
+  const metDate = qualified ? addTradingDays(runStart, REG_SHO_QUALIFYING_DAYS - 1) : null;
+
+  const recent = [];
+  for (let i = 0, day = asOf; i < REG_SHO_QUALIFYING_DAYS; i++, day = previousTradingDay(day)) {
+    recent.push({ date: day, quantity: quantityOn(day), qualifies: quantityOn(day) >= minShares });
+  }
+
+  return {
+    asOf,
+    minShares,
+    consecutiveDays,
+    qualifyingDays: Math.min(consecutiveDays, REG_SHO_QUALIFYING_DAYS),
+    required: REG_SHO_QUALIFYING_DAYS,
+    qualified,
+    metDate,
+    listDate: metDate && nextTradingDay(metDate),
+    earliestListDate: qualified ? null : nextTradingDay(addTradingDays(asOf, REG_SHO_QUALIFYING_DAYS - consecutiveDays)),
+    recent
+  };
+}
+
+/**
+ * Contents of the first file in a zip archive (stored or deflated).
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<Uint8Array>}
+ */
+export async function unzipFirstFile(buffer) {
+  const view = new DataView(buffer);
+  // End of central directory record, searched back past an optional comment
+  let eocd = -1;
+  for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) throw new Error('Not a zip archive');
+  const central = view.getUint32(eocd + 16, true);
+  if (view.getUint32(central, true) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+  const method = view.getUint16(central + 10, true);
+  const compressedSize = view.getUint32(central + 20, true);
+  const local = view.getUint32(central + 42, true);
+  if (view.getUint32(local, true) !== 0x04034b50) throw new Error('Corrupt zip local header');
+  const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+  if (start + compressedSize > central) throw new Error('Truncated zip archive');
+  const data = new Uint8Array(buffer, start, compressedSize);
+  if (method === 0) return data;
+  if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// { index } for a published file, { missing: true } when it is not published (yet), null on errors
+async function downloadFtdFile(name) {
+  try {
+    const res = await fetch(`${SEC_FTD_BASE_URL}${name}.zip`, { cache: 'no-cache' });
+    if (res.status === 404) return { missing: true };
+    if (!res.ok) {
+      console.warn(`⚠️ SEC FTD file ${name} unavailable (${res.status})`);
+      return null;
+    }
+    const text = new TextDecoder('latin1').decode(await unzipFirstFile(await res.arrayBuffer()));
+    const { rows, skipped } = parseFtdFile(text);
+    if (skipped) console.warn(`⚠️ SEC FTD file ${name}: skipped ${skipped} malformed line(s)`);
+    return rows.length ? { index: indexFtdRows(rows) } : { missing: true };
+  } catch (err) {
+    console.error(`❌ SEC FTD file ${name} failed:`, err);
+    return null;
+  }
+}
+
+async function readStoredIndexes() {
+  const res = await chrome.storage.local.get(META_STORAGE_KEY);
+  const meta = res[META_STORAGE_KEY];
+  if (!meta || !Array.isArray(meta.files)) return null;
+  const fileKeys = meta.files.map(name => `${FILE_STORAGE_PREFIX}${name}`);
+  const stored = await chrome.storage.local.get(fileKeys);
+  const files = meta.files
+    .map((name, i) => ({ name, index: stored[fileKeys[i]] }))
+    .filter(f => f.index);
+  return { checkedAt: meta.checkedAt || 0, failedAt: meta.failedAt || null, files };
+}
+
+// Whether a check for new files is due: SEC_FTD_RETRY_MS after a failed check,
+// SEC_FTD_CHECK_MS after a good one
+function refreshDue(state) {
+  if (!state) return true;
+  if (state.failedAt) return (Date.now() - state.failedAt) >= SEC_FTD_RETRY_MS;
+  return (Date.now() - state.checkedAt) >= SEC_FTD_CHECK_MS;
+}
+
+async function refreshFtdIndexes() {
+  if (!memory) memory = await readStoredIndexes();
+  if (!refreshDue(memory)) return memory.files;
+
+  const previous = memory?.files || [];
+  const kept = [];
+  let failed = false;
+  for (const name of ftdFileNames(new Date())) {
+    if (kept.length >= SEC_FTD_FILES_KEPT) break;
+    const existing = previous.find(f => f.name === name);
+    if (existing) {
+      kept.push(existing);
+      continue;
+    }
+    const file = await downloadFtdFile(name);
+    if (file?.index) kept.push({ name, index: file.index });
+    else if (!file) failed = true;
+  }
+  const files = kept.length ? kept : previous;
+
+  // A check counts once it has files to show; until then, and after any
+  // download error, it is retried after SEC_FTD_RETRY_MS
+  const checkedAt = kept.length ? Date.now() : (memory?.checkedAt || 0);
+  const failedAt = (failed || !kept.length) ? Date.now() : null;
+  const updates = { [META_STORAGE_KEY]: { checkedAt, failedAt, files: files.map(f => f.name) } };
+  files.filter(f => !previous.includes(f)).forEach(f => { updates[`${FILE_STORAGE_PREFIX}${f.name}`] = f.index; });
+  const dropped = previous.filter(f => !files.includes(f)).map(f => `${FILE_STORAGE_PREFIX}${f.name}`);
+  await chrome.storage.local.set(updates);
+  if (dropped.length) await chrome.storage.local.remove(dropped);
+
+  memory = { checkedAt, failedAt, files };
+  return files;
+}
+
+/**
+ * Per-file symbol indexes, newest file first. Concurrent callers share one
+ * refresh.
+ * @returns {Promise<Array<{name: string, index: object}>>}
+ */
+export function loadFtdIndexes() {
+  if (!pendingRefresh) {
+    pendingRefresh = refreshFtdIndexes()
+      .catch(err => {
+        console.error('❌ SEC FTD refresh failed:', err);
+        return memory?.files || [];
+      })
+      .finally(() => { pendingRefresh = null; });
+  }
+  return pendingRefresh;
+}
+
+/**
+ * FTD summary for one symbol (see ftdSummary), answered from the files already
+ * stored. A due refresh is started in the background (the worker also runs one
+ * on install and on an alarm); until the first one has stored anything this
+ * rejects, so the caller tries again later.
+ * @param {string} symbol
+ */
+export async function lookupFtd(symbol) {
+  if (!memory) memory = await readStoredIndexes();
+  const stored = memory;
+  if (refreshDue(stored)) loadFtdIndexes();
+  if (!stored?.files.length) throw new Error('SEC FTD files are not downloaded yet');
+  return ftdSummary(stored.files.map(f => f.index), symbol);
+}
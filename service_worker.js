@@ -3,8 +3,19 @@
  * service_worker.js
  * 
  * service_worker.js — fetch + parse data cross-origin with host_permissions.
- * Caches per symbol for CACHE_TTL_MS.
+ * Caches packs per symbol (memory + chrome.storage.session); network fields expire
+ * per FIELD_TTL_MS and stale packs are served while they revalidate in the background.
+ * Loaded as a module service worker so it can share squeezeScore.js with the UI.
  */
+import './dilution_tracker_simple.js';
+import { IBKR_SHORTABLE_FTP_URL, IBKR_SHORTABLE_REFRESH_MS, lookupShortable } from './ibkr_shortable.js';
+import { SEC_FTD_BASE_URL, SEC_FTD_CHECK_MS, loadFtdIndexes, lookupFtd, thresholdForecast } from './sec_ftd.js';
+import { FINRA_SI_BASE_URL, FINRA_SI_CHECK_MS, loadShortInterestIndex, lookupShortInterest } from './finra_short_interest.js';
+import { FINRA_SHVOL_BASE_URL, FINRA_SHVOL_CHECK_MS, loadShortVolumeDays, lookupShortVolume } from './finra_short_volume.js';
+import { thresholdList, thresholdStreak, warmThresholdLists } from './regsho_lists.js';
+import { isTradingDay, previousTradingDay } from './market_calendar.js';
+import { RUNWAY_NOT_BURNING_MONTHS, cashRunwayMonths, loadActiveProfile, percentileRank, scoreBreakdown, scoreConsensus, scoreInputsFromPack, staleFields } from './squeezeScore.js';
+
 // Debug mode guard: wrap console.log/debug based on chrome.storage.local.debug_mode
 (function initDebugGuard(){
   try {
@@ -27,15 +38,66 @@
   } catch(e){}
 })();
 
-try {
-  importScripts('dilution_tracker_simple.js');
-} catch (e) {
-  console.error('importScripts error:', e);
-}
-
 const CACHE_TTL_MS = 10 * 60 * 1000;
 const OPTIONS_CACHE_TTL_MS = 24 * 60 * 60 * 1000;
-const cache = new Map(); // symbol -> { fetchedAt, float, shortInterest, ctb, ftd }
+const SCORE_HISTORY_MAX_DAYS = 60;
+const SCORE_TREND_DAYS = 30;
+const SCORE_RANK_TTL_MS = 5 * 60 * 1000;
+const PACK_CACHE_PREFIX = 'pack_cache_';
+const PACK_CACHE_MAX_SYMBOLS = 100; // packs kept in memory and chrome.storage.session (10 MB quota)
+const PACK_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000; // session packs older than this are dropped on startup
+// How long each network-backed pack field stays fresh
+const FIELD_TTL_MS = {
+  float: CACHE_TTL_MS,
+  shortInterest: 6 * 60 * 60 * 1000,
+  ctb: IBKR_SHORTABLE_REFRESH_MS,
+  ftd: SEC_FTD_CHECK_MS,
+  regSho: 60 * 60 * 1000,
+  shortable: IBKR_SHORTABLE_REFRESH_MS,
+  shortVolume: FINRA_SHVOL_CHECK_MS
+};
+const PACK_FETCHERS = {
+  float: fetchFreeFloat,
+  shortInterest: fetchShortInterest,
+  ctb: fetchCTB,
+  ftd: fetchLatestFTD,
+  regSho: fetchRegShoStatus,
+  shortable: fetchShortableShares,
+  shortVolume: lookupShortVolume
+};
+// Stored ticker_ fields buildPack writes back, and the pack field whose source they carry
+const WORKER_STORED_FIELDS = {
+  optionsTradingEnabled: 'optionsTradingEnabled',
+  shortInterest: 'shortInterest',
+  shortSharesAvailable: 'shortSharesAvailable',
+  costToBorrow: 'costToBorrow',
+  failureToDeliver: 'failureToDeliver',
+  shortInterestPercentFloat: 'shortInterestPercentFloat',
+  regShoThreshold: 'regShoThreshold',
+  regShoSources: 'regShoSources'
+};
+// Source of the single-source fetchers' values (shortInterest tags its own;
+// float is read from the stored DilutionTracker data)
+const PACK_FETCHER_SOURCES = {
+  ctb: { source: 'ibkr', url: IBKR_SHORTABLE_FTP_URL },
+  ftd: { source: 'sec', url: SEC_FTD_BASE_URL },
+  regSho: { source: 'nasdaqtrader / nyse', url: 'https://www.nasdaqtrader.com/dynamic/symdir/regsho/' },
+  shortable: { source: 'ibkr', url: IBKR_SHORTABLE_FTP_URL },
+  shortVolume: { source: 'finra', url: FINRA_SHVOL_BASE_URL }
+};
+// Stores downloaded in bulk, refreshed on install, browser start and an alarm
+// rather than inside a pack build (their lookups only read what is stored)
+const BACKGROUND_REFRESHERS = {
+  finra_shvol_refresh: { periodMs: FINRA_SHVOL_CHECK_MS, refresh: loadShortVolumeDays },
+  sec_ftd_refresh: { periodMs: SEC_FTD_CHECK_MS, refresh: loadFtdIndexes },
+  finra_si_refresh: { periodMs: FINRA_SI_CHECK_MS, refresh: loadShortInterestIndex },
+  regsho_lists_refresh: { periodMs: FIELD_TTL_MS.regSho, refresh: () => warmThresholdLists(formatDateISO(determineRegShoStartDate())) }
+};
+const cache = new Map(); // symbol -> { builtAt, sourceHash, fields: { name: { value, fetchedAt } }, pack }, least recently used first
+let packCacheSwept = null; // one-time chrome.storage.session cleanup per worker start
+const inflight = new Map(); // symbol -> { promise, forced }: the pack build every caller shares
+const storageWriteChains = new Map(); // storage key -> tail of its queued read-modify-write tasks
+let peerScoreCache = null; // { builtAt, profileKey, peers: Map(symbol -> { score, regSho, listDate }) }
 
 async function getOptionsTradingEnabled(symbol) {
   try {
@@ -89,6 +151,19 @@ async function getOptionsTradingEnabled(symbol) {
   }
 }
 
+function scheduleBackgroundRefreshes() {
+  for (const [name, { periodMs, refresh }] of Object.entries(BACKGROUND_REFRESHERS)) {
+    chrome.alarms.create(name, { periodInMinutes: periodMs / 60000 });
+    refresh();
+  }
+}
+
+chrome.runtime.onInstalled.addListener(scheduleBackgroundRefreshes);
+chrome.runtime.onStartup.addListener(scheduleBackgroundRefreshes);
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (Object.hasOwn(BACKGROUND_REFRESHERS, alarm.name)) BACKGROUND_REFRESHERS[alarm.name].refresh();
+});
+
 chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   console.log(`🔧 Service worker: Received message:`, msg);
   
@@ -113,7 +188,7 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
       }
     }, 50000); // 50 second timeout
     
-    fetchPack(msg.symbol).then(result => {
+    fetchPack(msg.symbol, { forceRefresh: !!msg.forceRefresh }).then(result => {
       clearTimeout(timeoutId);
       if (!responseSent) {
         responseSent = true;
@@ -203,8 +278,6 @@ chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
   return false;
 });
 
-const REG_SHO_MARKETS = ['NYSE', 'NYSE American', 'NYSE Arca', 'NYSE National', 'NYSE Chicago'];
-
 function easternNowDate() {
   const now = new Date();
   // Convert to America/New_York by formatting then re-parsing to avoid tz math issues
@@ -212,33 +285,14 @@ function easternNowDate() {
   return new Date(localeString);
 }
 
-function isWeekendDay(date) {
-  const day = date.getDay();
-  return day === 0 || day === 6;
-}
-
-function previousBusinessDay(date) {
-  const d = new Date(date.getTime());
-  do {
-    d.setDate(d.getDate() - 1);
-  } while (isWeekendDay(d));
-  return d;
-}
-
 function determineRegShoStartDate() {
-  // Start from "today" in Eastern time and adjust for weekend / Monday guidance
+  // Start from "today" in Eastern time. Closed days and the first session after a
+  // weekend or holiday (whose list may not be out yet) use the prior trading day.
   const eastern = easternNowDate();
   const start = new Date(eastern.getFullYear(), eastern.getMonth(), eastern.getDate());
-  const day = start.getDay();
-  if (day === 1) { // Monday → use prior Friday
-    start.setDate(start.getDate() - 3);
-  } else if (day === 0) { // Sunday → prior Friday
-    start.setDate(start.getDate() - 2);
-  } else if (day === 6) { // Saturday → prior Friday
-    start.setDate(start.getDate() - 1);
-  }
-  if (isWeekendDay(start)) {
-    return previousBusinessDay(start);
+  const dayBefore = new Date(start.getFullYear(), start.getMonth(), start.getDate() - 1);
+  if (!isTradingDay(start) || !isTradingDay(dayBefore)) {
+    return previousTradingDay(start);
   }
   return start;
 }
@@ -257,90 +311,29 @@ function formatDateISO(date) {
   return `${year}-${month}-${day}`;
 }
 
-async function fetchNasdaqRegShoForDate(symbol, date) {
-  const dateStamp = formatDateYYYYMMDD(date);
-  const url = `https://www.nasdaqtrader.com/dynamic/symdir/regsho/nasdaqth${dateStamp}.txt`;
-  try {
-    const resp = await fetch(url, { cache: 'no-cache' });
-    if (!resp.ok) {
-      return { success: false };
-    }
-    const text = await resp.text();
-    if (!text) {
-      return { success: true, onList: false, date: dateStamp };
-    }
-    const lines = text.split(/\r?\n/);
-    const matched = lines.some((line, idx) => {
-      if (idx === 0) return false; // skip header
-      if (!line || !line.includes('|')) return false;
-      const first = line.split('|')[0]?.trim().toUpperCase();
-      return first === symbol;
-    });
-    return { success: true, onList: matched, date: dateStamp };
-  } catch (err) {
-    console.warn(`⚠️ Nasdaq RegSHO fetch failed for ${symbol} ${dateStamp}:`, err);
-    return { success: false };
-  }
-}
-
+// Threshold lists come from the daily store (regsho_lists.js): each list is
+// downloaded once per trading date, not per symbol
 async function fetchNasdaqRegShoStatus(symbol, startDate) {
   let attemptDate = new Date(startDate.getTime());
   for (let i = 0; i < 5; i++) {
-    const result = await fetchNasdaqRegShoForDate(symbol, attemptDate);
-    if (result.success) {
-      return result;
+    const list = await thresholdList('nasdaq', formatDateISO(attemptDate));
+    if (list) {
+      return { success: true, onList: list.symbols.includes(symbol), date: formatDateYYYYMMDD(attemptDate) };
     }
-    attemptDate = previousBusinessDay(attemptDate);
+    attemptDate = previousTradingDay(attemptDate);
   }
   return null;
 }
 
-async function fetchNyseRegShoForDate(symbol, date) {
-  const isoDate = formatDateISO(date);
-  let anySuccess = false;
-  let onList = false;
-  const marketDetails = [];
-
-  for (const market of REG_SHO_MARKETS) {
-    const url = `https://www.nyse.com/api/regulatory/threshold-securities/download?selectedDate=${isoDate}&market=${encodeURIComponent(market)}`;
-    try {
-      const resp = await fetch(url, { cache: 'no-cache' });
-      if (!resp.ok) {
-        continue;
-      }
-      const text = await resp.text();
-      if (!text || !text.includes('|')) {
-        continue;
-      }
-      anySuccess = true;
-      const lines = text.split(/\r?\n/);
-      const matched = lines.some((line) => {
-        if (!line || !line.includes('|')) return false;
-        const first = line.split('|')[0]?.trim().toUpperCase();
-        return first === symbol;
-      });
-      marketDetails.push({ market, onList: matched });
-      if (matched) onList = true;
-    } catch (err) {
-      console.warn(`⚠️ NYSE RegSHO fetch failed for ${symbol} ${isoDate} (${market}):`, err);
-    }
-  }
-
-  if (!anySuccess) {
-    return { success: false };
-  }
-
-  return { success: true, onList, date: isoDate, markets: marketDetails };
-}
-
 async function fetchNyseRegShoStatus(symbol, startDate) {
   let attemptDate = new Date(startDate.getTime());
   for (let i = 0; i < 5; i++) {
-    const result = await fetchNyseRegShoForDate(symbol, attemptDate);
-    if (result.success) {
-      return result;
+    const list = await thresholdList('nyse', formatDateISO(attemptDate));
+    if (list) {
+      const markets = Object.entries(list.markets).map(([market, symbols]) => ({ market, onList: symbols.includes(symbol) }));
+      return { success: true, onList: markets.some(m => m.onList), date: list.date, markets };
     }
-    attemptDate = previousBusinessDay(attemptDate);
+    attemptDate = previousTradingDay(attemptDate);
   }
   return null;
 }
@@ -368,30 +361,277 @@ async function fetchRegShoStatus(symbol) {
     };
   }
 
+  const streak = await thresholdStreak(symbol, regShoListDate(sources)).catch(err => {
+    console.warn(`⚠️ RegSHO streak failed for ${symbol}:`, err);
+    return null;
+  });
+
   return {
     onList: Boolean((nasdaq && nasdaq.onList) || (nyse && nyse.onList)),
-    sources
+    sources,
+    streak
   };
 }
 
-async function fetchPack(symbol) {
-  const now = Date.now();
+// Where a pack value came from: { source, observedAt (ms), url, asOf?, inputs? }.
+// Stored fields carry the provenance their writer recorded in `fieldSources`.
+function storedSource(stored, key) {
+  const recorded = stored?.fieldSources?.[key];
+  if (recorded) return recorded;
+  return { source: 'stored', observedAt: stored?.lastUpdated ?? null, url: null };
+}
+
+function crawlSource(crawl, host) {
+  const observedAt = Date.parse(crawl?.meta?.crawledAt || '');
+  return { source: `${host} crawl`, observedAt: Number.isFinite(observedAt) ? observedAt : null, url: crawl?.meta?.url || null };
+}
+
+// A value computed from other pack fields counts as observed when its oldest input was
+function derivedSource(inputs) {
+  const times = Object.values(inputs).map(from => from?.observedAt).filter(Number.isFinite);
+  return { source: 'derived', observedAt: times.length ? Math.min(...times) : null, url: null, inputs: Object.keys(inputs) };
+}
+
+// firstNonNull over [value, source] candidates that also records the winner's
+// source under provenance[field]
+function firstSourced(provenance, field, ...candidates) {
+  for (const [value, from] of candidates) {
+    if (firstNonNull(value) === null) continue;
+    if (from) provenance[field] = from;
+    return value;
+  }
+  return null;
+}
+
+// Value for `key` from the top-level stored fields, falling back to the
+// DilutionTracker then Fintel page crawls, with where it was found.
+function pickFromCrawls(stored, key) {
+  try {
+    if (!stored) return null;
+    if (stored[key]) return { value: stored[key], from: storedSource(stored, key) };
+    for (const host of ['dilutiontracker', 'fintel']) {
+      const crawl = stored.pageCrawls && stored.pageCrawls[host];
+      if (!crawl) continue;
+      if (crawl.values && Array.isArray(crawl.values[key])) {
+        const occ = crawl.values[key].find(v => v && v.value != null && String(v.value).trim() !== '');
+        if (occ) return { value: occ.value, from: crawlSource(crawl, host) };
+      }
+      if (crawl.inferred && crawl.inferred[key]) return { value: crawl.inferred[key], from: crawlSource(crawl, host) };
+    }
+    return null;
+  } catch { return null; }
+}
+
+function pickFromCrawlsTop(stored, key) {
+  return pickFromCrawls(stored, key)?.value ?? null;
+}
+
+/**
+ * Return the pack for a symbol. A cached pack is returned immediately; if any
+ * of its network fields outlived FIELD_TTL_MS (or the pack is older than
+ * CACHE_TTL_MS) it is rebuilt in the background. Changes to the stored ticker
+ * data or the active profile rebuild right away, reusing the fresh fields.
+ * `forceRefresh` skips the cache and refetches every field.
+ */
+async function fetchPack(symbol, { forceRefresh = false } = {}) {
   const key = symbol.toUpperCase();
+  const entry = forceRefresh ? null : await readPackCache(key);
+  if (!entry?.pack) return sharedBuild(key, entry, { forced: forceRefresh });
+
+  if (entry.sourceHash !== await packSourceHash(key)) {
+    console.log(`🔁 fetchPack: stored data for ${key} changed, rebuilding`);
+    return sharedBuild(key, entry);
+  }
+
+  const now = Date.now();
+  const stale = (now - entry.builtAt) >= CACHE_TTL_MS
+    || Object.keys(PACK_FETCHERS).some(name => !isFieldFresh(entry, name, now));
+  if (stale) revalidatePack(key, entry);
+  return entry.pack;
+}
+
+function revalidatePack(key, entry) {
+  sharedBuild(key, entry).catch(err => console.warn(`⚠️ Background refresh failed for ${key}:`, err));
+}
+
+/**
+ * Coalesce pack builds per symbol: callers arriving while a build is running
+ * (popup, tooltip, other tabs, background revalidation) share its promise. A
+ * forced refresh only joins a build that is itself forced.
+ */
+function sharedBuild(key, previous, { forced = false } = {}) {
+  const running = inflight.get(key);
+  if (running && (running.forced || !forced)) return running.promise;
+  const promise = buildPack(key, previous).finally(() => {
+    if (inflight.get(key)?.promise === promise) inflight.delete(key);
+  });
+  inflight.set(key, { promise, forced });
+  return promise;
+}
+
+// Run read-modify-write tasks on one storage key one at a time
+function serializeStorageWrite(storageKey, task) {
+  const previous = storageWriteChains.get(storageKey) || Promise.resolve();
+  const run = previous.then(task);
+  const tail = run.catch(() => {});
+  storageWriteChains.set(storageKey, tail);
+  tail.then(() => {
+    if (storageWriteChains.get(storageKey) === tail) storageWriteChains.delete(storageKey);
+  });
+  return run;
+}
+
+/**
+ * Apply the fields that differ between `base` (what the caller read) and
+ * `next` (what it wants) onto the value stored now, so concurrent merges into
+ * the same ticker_<SYMBOL> don't clobber each other. Returns the merged value.
+ */
+function mergeStoredTicker(storageKey, base, next) {
+  return serializeStorageWrite(storageKey, async () => {
+    const res = await chrome.storage.local.get(storageKey);
+    const merged = { ...(res[storageKey] || {}) };
+    for (const [field, value] of Object.entries(next)) {
+      if (field === 'fieldSources') continue;
+      if (JSON.stringify(value) !== JSON.stringify(base?.[field])) merged[field] = value;
+    }
+    // Per-field provenance is merged entry by entry, like the fields themselves
+    if (next.fieldSources) {
+      const sources = { ...(merged.fieldSources || {}) };
+      for (const [field, from] of Object.entries(next.fieldSources)) {
+        if (JSON.stringify(from) !== JSON.stringify(base?.fieldSources?.[field])) sources[field] = from;
+      }
+      merged.fieldSources = sources;
+    }
+    for (const field of Object.keys(base || {})) {
+      if (!Object.prototype.hasOwnProperty.call(next, field)) delete merged[field];
+    }
+    await chrome.storage.local.set({ [storageKey]: merged });
+    await registerTicker(storageKey.slice('ticker_'.length));
+    return merged;
+  });
+}
+
+// Add a symbol to ticker_list, the index of ticker_ entries the content
+// scripts keep, so loadPeerScores can fetch entries by key
+function registerTicker(symbol) {
+  return serializeStorageWrite('ticker_list', async () => {
+    const { ticker_list: tickerList = [] } = await chrome.storage.local.get('ticker_list');
+    if (tickerList.includes(symbol)) return;
+    await chrome.storage.local.set({ ticker_list: [...tickerList, symbol] });
+  });
+}
+
+function isFieldFresh(entry, name, now) {
+  const field = entry?.fields?.[name];
+  return !!field && (now - field.fetchedAt) < FIELD_TTL_MS[name];
+}
+
+async function readPackCache(key) {
+  if (cache.has(key)) return rememberPack(key, cache.get(key));
+  if (!chrome.storage.session) return null;
+  try {
+    const sessionKey = `${PACK_CACHE_PREFIX}${key}`;
+    const res = await chrome.storage.session.get(sessionKey);
+    const entry = res[sessionKey] || null;
+    if (entry) rememberPack(key, entry);
+    return entry;
+  } catch (err) {
+    console.warn(`⚠️ Pack cache read failed for ${key}:`, err);
+    return null;
+  }
+}
+
+async function writePackCache(key, entry) {
+  rememberPack(key, entry);
+  if (!chrome.storage.session) return;
+  try {
+    await sweepPackCache();
+    await chrome.storage.session.set({ [`${PACK_CACHE_PREFIX}${key}`]: entry });
+  } catch (err) {
+    console.warn(`⚠️ Pack cache write failed for ${key}:`, err);
+  }
+}
+
+// Mark `key` most recently used; past PACK_CACHE_MAX_SYMBOLS the least recently
+// used pack is dropped from memory and from chrome.storage.session
+function rememberPack(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+  if (cache.size > PACK_CACHE_MAX_SYMBOLS) {
+    const oldest = cache.keys().next().value;
+    cache.delete(oldest);
+    chrome.storage.session?.remove(`${PACK_CACHE_PREFIX}${oldest}`)
+      .catch(err => console.warn(`⚠️ Pack cache eviction failed for ${oldest}:`, err));
+  }
+  return entry;
+}
+
+// Session packs written by an earlier worker are not in `cache`, so on the first
+// write after a restart drop those older than PACK_CACHE_MAX_AGE_MS and all but
+// the newest PACK_CACHE_MAX_SYMBOLS
+function sweepPackCache() {
+  if (!packCacheSwept) {
+    packCacheSwept = (async () => {
+      const all = await chrome.storage.session.get(null);
+      const now = Date.now();
+      const packs = Object.entries(all)
+        .filter(([sessionKey]) => sessionKey.startsWith(PACK_CACHE_PREFIX))
+        .sort(([, a], [, b]) => (b?.builtAt || 0) - (a?.builtAt || 0));
+      const drop = packs
+        .filter(([, entry], idx) => idx >= PACK_CACHE_MAX_SYMBOLS || !(now - (entry?.builtAt || 0) < PACK_CACHE_MAX_AGE_MS))
+        .map(([sessionKey]) => sessionKey);
+      if (drop.length) await chrome.storage.session.remove(drop);
+    })().catch(err => console.warn('⚠️ Pack cache sweep failed:', err));
+  }
+  return packCacheSwept;
+}
+
+// Fingerprint of the local inputs a pack is built from: the stored ticker data
+// (scraped by the content scripts) and the scoring profile. Every writer of a
+// ticker_ entry bumps `lastUpdated` or a `fieldSources` stamp, so those stand in
+// for the whole entry.
+async function packSourceHash(key) {
   const storageKey = `ticker_${key}`;
+  const [stored, profile] = await Promise.all([chrome.storage.local.get(storageKey), loadActiveProfile()]);
+  const entry = stored[storageKey];
+  return hashString(JSON.stringify([entry?.lastUpdated ?? null, entry?.fieldSources ?? null, profile]));
+}
+
+function hashString(text) {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  return hash;
+}
+
+// Fetch the network fields that are missing or stale in `previous`; a field
+// whose fetch fails keeps its last good value (still stale, so it is retried).
+async function fetchPackFields(key, previous, now) {
+  const names = Object.keys(PACK_FETCHERS);
+  const settled = await Promise.allSettled(names.map(name =>
+    isFieldFresh(previous, name, now) ? previous.fields[name].value : PACK_FETCHERS[name](key)
+  ));
+  const fields = {};
+  const results = settled.map((result, i) => {
+    const name = names[i];
+    const prior = previous?.fields?.[name];
+    if (result.status === 'fulfilled') {
+      fields[name] = isFieldFresh(previous, name, now) ? prior : { value: result.value ?? null, fetchedAt: now };
+      return result;
+    }
+    if (!prior) return result;
+    fields[name] = prior;
+    return { status: 'fulfilled', value: prior.value };
+  });
+  return { fields, results };
+}
 
-  /*const cached = cache.get(key);
-  if (cached && (now - cached.fetchedAt) < CACHE_TTL_MS) {
-    return cached;
-  }*/
+async function buildPack(key, previous) {
+  const now = Date.now();
+  const storageKey = `ticker_${key}`;
  console.log('fetchPack() SERVICE_WORKER');
 
-  const [floatVal, siVal, ctbVal, ftdVal, regShoVal] = await Promise.allSettled([
-    fetchFreeFloat(key),
-    fetchShortInterest(key),
-    fetchCTB(key),
-    fetchLatestFTD(key),
-    fetchRegShoStatus(key)
-  ]);
+  const { fields, results } = await fetchPackFields(key, previous, now);
+  const [floatVal, siVal, ctbVal, ftdVal, regShoVal, shortableVal, shortVolumeVal] = results;
 
   let regShoResult = null;
   if (regShoVal.status === 'fulfilled') {
@@ -418,34 +658,20 @@ async function fetchPack(symbol) {
       lastDataUpdate: storedData.lastDataUpdate
     });
   }
-  
-  function pickFromCrawlsTop(stored, key) {
-    try {
-      if (!stored) return null;
-      if (stored[key]) return stored[key];
-      const dt = stored.pageCrawls && stored.pageCrawls.dilutiontracker;
-      if (dt) {
-        if (dt.values && Array.isArray(dt.values[key])) {
-          const occ = dt.values[key].find(v => v && v.value != null && String(v.value).trim() !== '');
-          if (occ) return occ.value;
-        }
-        if (dt.inferred && dt.inferred[key]) return dt.inferred[key];
-      }
-      const fi = stored.pageCrawls && stored.pageCrawls.fintel;
-      if (fi) {
-        if (fi.values && Array.isArray(fi.values[key])) {
-          const occ = fi.values[key].find(v => v && v.value != null && String(v.value).trim() !== '');
-          if (occ) return occ.value;
-        }
-        if (fi.inferred && fi.inferred[key]) return fi.inferred[key];
-      }
-      return null;
-    } catch { return null; }
-  }
+
+  // provenance[packField] = { source, observedAt, url, ... }, see storedSource
+  const provenance = {};
+  const live = (name, extra) => ({ ...PACK_FETCHER_SOURCES[name], observedAt: fields[name]?.fetchedAt ?? now, ...extra });
+  const crawled = (field, parse) => {
+    const hit = pickFromCrawls(storedData, field);
+    return [parse(hit?.value ?? null), hit?.from];
+  };
 
   const optionsEnabledRaw = await getOptionsTradingEnabled(key);
   const optionsEnabled = optionsEnabledRaw === null ? null : !!optionsEnabledRaw;
   if (optionsEnabled !== null) {
+    const optionsMeta = (await chrome.storage.local.get(`options_meta_${key}`))[`options_meta_${key}`];
+    provenance.optionsTradingEnabled = { source: 'cboe', observedAt: optionsMeta?.timestamp ?? now, url: `https://cdn.cboe.com/api/global/delayed_quotes/options/${encodeURIComponent(key)}.json` };
     if (!workingData) workingData = {};
     if (workingData.optionsTradingEnabled !== optionsEnabled) {
       workingData.optionsTradingEnabled = optionsEnabled;
@@ -454,32 +680,41 @@ async function fetchPack(symbol) {
   }
 
   const floatRaw = valueOrNull(floatVal);
-  const shortInterestRaw = valueOrNull(siVal);
+  const shortInterestResult = valueOrNull(siVal);
+  // FINRA rows come back as { shares, previousShares, daysToCover, settlementDate }; Fintel/FinViz as { text }
+  const finraShortInterest = shortInterestResult?.source === 'finra' ? shortInterestResult : null;
+  const shortInterestRaw = finraShortInterest ? finraShortInterest.shares : (shortInterestResult?.text ?? null);
+  const shortInterestSource = shortInterestResult
+    ? { source: shortInterestResult.source, observedAt: fields.shortInterest?.fetchedAt ?? now, url: shortInterestResult.url || null, asOf: finraShortInterest?.settlementDate }
+    : null;
   const costToBorrowRaw = valueOrNull(ctbVal);
-  const ftdRaw = valueOrNull(ftdVal);
+  const secFtd = valueOrNull(ftdVal); // { value, date, table, history } from the SEC FTD files
   const shortBorrowRateTable = Array.isArray(storedData?.shortBorrowRateTable) ? storedData.shortBorrowRateTable : null;
   const failsToDeliverTable = Array.isArray(storedData?.failsToDeliverTable) ? storedData.failsToDeliverTable : null;
   const shortSharesAvailabilityTable = Array.isArray(storedData?.shortSharesAvailabilityTable) ? storedData.shortSharesAvailabilityTable : null;
 
-  const floatAbs = firstNonNull(
-    parseShares(storedData?.latestFloat),
-    parseShares(floatRaw)
+  // fetchFreeFloat reads the same stored DilutionTracker value
+  const floatAbs = firstSourced(provenance, 'float',
+    [parseShares(storedData?.latestFloat), storedSource(storedData, 'latestFloat')],
+    [parseShares(floatRaw), storedSource(storedData, 'latestFloat')]
   );
 
-  const sharesOutstandingAbs = firstNonNull(
-    parseShares(storedData?.sharesOutstanding),
-    parseShares(pickFromCrawlsTop(storedData, 'sharesOutstanding'))
+  const sharesOutstandingAbs = firstSourced(provenance, 'sharesOutstanding',
+    [parseShares(storedData?.sharesOutstanding), storedSource(storedData, 'sharesOutstanding')],
+    crawled('sharesOutstanding', parseShares)
   );
 
-  const shortInterestAbs = firstNonNull(
-    parseShares(storedData?.shortInterest),
-    parseShares(shortInterestRaw)
+  const shortInterestAbsSource = {};
+  const shortInterestAbs = firstSourced(shortInterestAbsSource, 'shortInterest',
+    [finraShortInterest?.shares ?? null, shortInterestSource],
+    [parseShares(storedData?.shortInterest), storedSource(storedData, 'shortInterest')],
+    [parseShares(shortInterestRaw), shortInterestSource]
   );
 
-  const shortInterestFormatted = firstNonNull(
-    formatSharesString(shortInterestRaw),
-    formatSharesString(storedData?.shortInterest),
-    shortInterestAbs != null ? Math.round(shortInterestAbs).toLocaleString() : null
+  const shortInterestFormatted = firstSourced(provenance, 'shortInterest',
+    [formatSharesString(shortInterestRaw), shortInterestSource],
+    [formatSharesString(storedData?.shortInterest), storedSource(storedData, 'shortInterest')],
+    [shortInterestAbs != null ? Math.round(shortInterestAbs).toLocaleString() : null, shortInterestAbsSource.shortInterest]
   );
 
   if (shortInterestFormatted) {
@@ -493,47 +728,76 @@ async function fetchPack(symbol) {
     storageMutated = true;
   }
 
-  let shortSharesAvailableAbs = firstNonNull(
-    parseShares(storedData?.shortSharesAvailable),
-    parseShares(pickFromCrawlsTop(storedData, 'shortSharesAvailable'))
+  let shortSharesAvailableAbs = firstSourced(provenance, 'shortSharesAvailable',
+    [parseShares(storedData?.shortSharesAvailable), storedSource(storedData, 'shortSharesAvailable')],
+    crawled('shortSharesAvailable', parseShares),
+    [valueOrNull(shortableVal), live('shortable')]
   );
 
-  const finraExemptVolumeAbs = firstNonNull(
-    parseShares(storedData?.finraExemptVolume),
-    parseShares(pickFromCrawlsTop(storedData, 'finraExemptVolume'))
+  // FINRA daily short sale volume, newest day first (every ticker, unlike the Fintel crawl)
+  const shortVolumeResult = valueOrNull(shortVolumeVal);
+  const finraShortVolume = Array.isArray(shortVolumeResult) ? shortVolumeResult : [];
+
+  const shortVolumeSource = finraShortVolume.length ? live('shortVolume', { asOf: finraShortVolume[0].date }) : null;
+  if (shortVolumeSource) {
+    provenance.shortVolumeRatio = shortVolumeSource;
+    provenance.shortVolumeHistory = shortVolumeSource;
+  }
+
+  const finraExemptVolumeAbs = firstSourced(provenance, 'finraExemptVolume',
+    [finraShortVolume[0]?.shortExemptVolume ?? null, shortVolumeSource],
+    [parseShares(storedData?.finraExemptVolume), storedSource(storedData, 'finraExemptVolume')],
+    crawled('finraExemptVolume', parseShares)
   );
 
-  let failureToDeliverAbs = firstNonNull(
-    parseShares(storedData?.failureToDeliver),
-    parseShares(ftdRaw),
-    parseShares(pickFromCrawlsTop(storedData, 'failureToDeliver'))
+  const secFtdSource = secFtd ? live('ftd', { asOf: secFtd.date }) : null;
+  let failureToDeliverAbs = firstSourced(provenance, 'failureToDeliver',
+    [parseShares(storedData?.failureToDeliver), storedSource(storedData, 'failureToDeliver')],
+    [secFtd?.value ?? null, secFtdSource],
+    crawled('failureToDeliver', parseShares)
   );
 
-  const estimatedCashDollars = firstNonNull(
-    parseDollars(storedData?.estimatedCash),
-    parseDollars(pickFromCrawlsTop(storedData, 'estimatedCash'))
+  const estimatedCashDollars = firstSourced(provenance, 'estimatedCash',
+    [parseDollars(storedData?.estimatedCash), storedSource(storedData, 'estimatedCash')],
+    crawled('estimatedCash', parseDollars)
   );
 
-  const marketCapDollars = firstNonNull(
-    parseDollars(storedData?.marketCap),
-    parseDollars(pickFromCrawlsTop(storedData, 'marketCap'))
+  const quarterlyCashFlowDollars = parseDollars(storedData?.quarterlyCashFlow);
+  if (quarterlyCashFlowDollars != null) provenance.quarterlyCashFlow = storedSource(storedData, 'quarterlyCashFlow');
+  // Same rule the score's runway penalty uses
+  const runwayMonths = cashRunwayMonths(estimatedCashDollars, quarterlyCashFlowDollars);
+  if (runwayMonths != null) {
+    provenance.cashRunwayMonths = derivedSource(runwayMonths === RUNWAY_NOT_BURNING_MONTHS
+      ? { quarterlyCashFlow: provenance.quarterlyCashFlow }
+      : { estimatedCash: provenance.estimatedCash, quarterlyCashFlow: provenance.quarterlyCashFlow });
+  }
+
+  const marketCapDollars = firstSourced(provenance, 'marketCap',
+    [parseDollars(storedData?.marketCap), storedSource(storedData, 'marketCap')],
+    crawled('marketCap', parseDollars)
   );
 
-  const enterpriseValueDollars = firstNonNull(
-    parseDollars(storedData?.enterpriseValue),
-    parseDollars(pickFromCrawlsTop(storedData, 'enterpriseValue'))
+  const enterpriseValueDollars = firstSourced(provenance, 'enterpriseValue',
+    [parseDollars(storedData?.enterpriseValue), storedSource(storedData, 'enterpriseValue')],
+    crawled('enterpriseValue', parseDollars)
   );
 
-  const estimatedNetCashPerShareVal = firstNonNull(
-    parseNumber(storedData?.estimatedNetCashPerShare),
-    parseNumber(pickFromCrawlsTop(storedData, 'estimatedNetCashPerShare'))
+  const estimatedNetCashPerShareVal = firstSourced(provenance, 'estimatedNetCashPerShare',
+    [parseNumber(storedData?.estimatedNetCashPerShare), storedSource(storedData, 'estimatedNetCashPerShare')],
+    crawled('estimatedNetCashPerShare', parseNumber)
   );
 
   let costToBorrowPercent = deriveCostToBorrowPercent(shortBorrowRateTable, costToBorrowRaw, storedData?.costToBorrow);
+  if (costToBorrowPercent != null) {
+    provenance.costToBorrow = deriveCostToBorrowPercent(shortBorrowRateTable, null, null) != null
+      ? storedSource(storedData, 'shortBorrowRateTable')
+      : parsePercent(costToBorrowRaw) != null ? live('ctb') : storedSource(storedData, 'costToBorrow');
+  }
 
   const tableShortShares = extractShortSharesAvailability(shortSharesAvailabilityTable);
   if (tableShortShares != null) {
     shortSharesAvailableAbs = tableShortShares;
+    provenance.shortSharesAvailable = storedSource(storedData, 'shortSharesAvailabilityTable');
     if (!workingData) workingData = storedData ? { ...storedData } : {};
     if (workingData.shortSharesAvailable !== tableShortShares) {
       workingData.shortSharesAvailable = tableShortShares;
@@ -544,6 +808,7 @@ async function fetchPack(symbol) {
   const tableCostToBorrow = extractCostToBorrowLatest(shortBorrowRateTable);
   if (tableCostToBorrow != null) {
     costToBorrowPercent = tableCostToBorrow;
+    provenance.costToBorrow = storedSource(storedData, 'shortBorrowRateTable');
     if (!workingData) workingData = storedData ? { ...storedData } : {};
     if (workingData.costToBorrow !== tableCostToBorrow) {
       workingData.costToBorrow = tableCostToBorrow;
@@ -554,6 +819,7 @@ async function fetchPack(symbol) {
   const tableFailureToDeliver = extractFtdValue(failsToDeliverTable);
   if (tableFailureToDeliver != null) {
     failureToDeliverAbs = tableFailureToDeliver;
+    provenance.failureToDeliver = storedSource(storedData, 'failsToDeliverTable');
     if (!workingData) workingData = storedData ? { ...storedData } : {};
     if (workingData.failureToDeliver !== tableFailureToDeliver) {
       workingData.failureToDeliver = tableFailureToDeliver;
@@ -561,24 +827,44 @@ async function fetchPack(symbol) {
     }
   }
 
-  const shortInterestRatioDays = firstNonNull(
-    parseNumber(storedData?.shortInterestRatio),
-    parseNumber(pickFromCrawlsTop(storedData, 'shortInterestRatio'))
+  const shortInterestRatioDays = firstSourced(provenance, 'shortInterestRatio',
+    [finraShortInterest?.daysToCover ?? null, shortInterestSource],
+    [parseNumber(storedData?.shortInterestRatio), storedSource(storedData, 'shortInterestRatio')],
+    crawled('shortInterestRatio', parseNumber)
   );
+  if (finraShortInterest) {
+    provenance.shortInterestPrevious = shortInterestSource;
+    provenance.shortInterestSettlementDate = shortInterestSource;
+  }
 
-  const institutionalOwnershipPercent = firstNonNull(
-    parsePercent(storedData?.institutionalOwnership),
-    parsePercent(pickFromCrawlsTop(storedData, 'institutionalOwnership'))
+  const institutionalOwnershipPercent = firstSourced(provenance, 'institutionalOwnership',
+    [parsePercent(storedData?.institutionalOwnership), storedSource(storedData, 'institutionalOwnership')],
+    crawled('institutionalOwnership', parsePercent)
   );
 
   const regShoMinFtdsAbs = (typeof sharesOutstandingAbs === 'number' && isFinite(sharesOutstandingAbs) && sharesOutstandingAbs > 0)
     ? sharesOutstandingAbs * 0.005
     : null;
+  if (regShoMinFtdsAbs != null) provenance.regShoMinFtds = derivedSource({ sharesOutstanding: provenance.sharesOutstanding });
+
+  // SEC quantities first; the Fintel table fills settlement dates the SEC files don't cover
+  const regShoForecast = thresholdForecast(
+    [...(secFtd?.history || []), ...ftdHistoryFromTable(failsToDeliverTable)],
+    sharesOutstandingAbs
+  );
+  if (regShoForecast) {
+    provenance.regShoForecast = derivedSource({
+      sharesOutstanding: provenance.sharesOutstanding,
+      ...(secFtdSource ? { ftd: secFtdSource } : {}),
+      ...(failsToDeliverTable ? { failsToDeliverTable: storedSource(storedData, 'failsToDeliverTable') } : {})
+    });
+  }
 
   const shortFloatPercent = (typeof shortInterestAbs === 'number' && typeof floatAbs === 'number' && floatAbs > 0)
     ? formatPercentTwoDecimals((shortInterestAbs / floatAbs) * 100)
     : null;
   if (shortFloatPercent) {
+    provenance.shortInterestPercentFloat = derivedSource({ shortInterest: shortInterestAbsSource.shortInterest, float: provenance.float });
     if (!workingData) workingData = {};
     if (workingData.shortInterestPercentFloat !== shortFloatPercent) {
       workingData.shortInterestPercentFloat = shortFloatPercent;
@@ -601,10 +887,34 @@ async function fetchPack(symbol) {
       storageMutated = true;
     }
   }
+  const regShoSource = regShoResult
+    ? live('regSho', { asOf: regShoListDate(regShoResult.sources) })
+    : (storedData?.regShoThreshold != null ? storedSource(storedData, 'regShoThreshold') : null);
+  if (regShoSource) {
+    provenance.regShoThreshold = regShoSource;
+    provenance.regShoSources = regShoSource;
+    if (regShoResult?.streak) provenance.regShoStreak = regShoSource;
+  }
+
+  // Fields this build writes back to storage keep the source they came from
+  if (workingData) {
+    const fieldSources = { ...(workingData.fieldSources || {}) };
+    let sourcesChanged = false;
+    for (const [field, packField] of Object.entries(WORKER_STORED_FIELDS)) {
+      const from = provenance[packField];
+      if (!from || workingData[field] == null) continue;
+      if (JSON.stringify(workingData[field]) === JSON.stringify(storedData?.[field])) continue;
+      fieldSources[field] = from;
+      sourcesChanged = true;
+    }
+    if (sourcesChanged) {
+      workingData.fieldSources = fieldSources;
+      storageMutated = true;
+    }
+  }
 
   if (storageMutated && workingData) {
-    await chrome.storage.local.set({ [storageKey]: workingData });
-    storedData = workingData;
+    storedData = await mergeStoredTicker(storageKey, storedData, workingData);
   } else if (workingData) {
     storedData = workingData;
   }
@@ -613,37 +923,71 @@ async function fetchPack(symbol) {
     || normalizeSharesString(shortInterestRaw)
     || (typeof storedData?.shortInterest === 'string' ? storedData.shortInterest : null);
 
+  // Fields read straight from storage or the page crawls
+  const storedOrCrawled = (field) => {
+    const hit = pickFromCrawls(storedData, field);
+    if (!hit || hit.value == null) return null;
+    provenance[field] = hit.from;
+    return hit.value;
+  };
+  const shortSaleVolumeFinraTable = shortVolumeTable(finraShortVolume);
+  provenance.shortSaleVolumeFinraTable = shortSaleVolumeFinraTable
+    ? shortVolumeSource
+    : (storedData?.shortSaleVolumeFinraTable ? storedSource(storedData, 'shortSaleVolumeFinraTable') : undefined);
+  provenance.failsToDeliverTable = storedData?.failsToDeliverTable
+    ? storedSource(storedData, 'failsToDeliverTable')
+    : (secFtd?.table ? secFtdSource : undefined);
+  for (const field of ['shortBorrowRateTable', 'shortSharesAvailabilityTable', 'regularMarketChange', 'extendedMarketChange']) {
+    if (storedData?.[field]) provenance[field] = storedSource(storedData, field);
+  }
+
   const pack = {
     fetchedAt: storedData?.lastUpdated || now,
     float: floatAbs ?? null,
     shortInterest: packShortInterestDisplay ?? null,
     shortInterestRatio: shortInterestRatioDays ?? null,
+    shortInterestPrevious: finraShortInterest?.previousShares ?? null,
+    shortInterestSettlementDate: finraShortInterest?.settlementDate ?? null,
     shortInterestPercentFloat: shortFloatPercent,
     costToBorrow: costToBorrowPercent ?? null,
     shortSharesAvailable: shortSharesAvailableAbs ?? null,
     finraExemptVolume: finraExemptVolumeAbs ?? null,
+    shortVolumeRatio: finraShortVolume[0]?.ratio ?? null,
+    shortVolumeHistory: finraShortVolume.length ? finraShortVolume : null,
+    shortSaleVolumeFinraTable: shortSaleVolumeFinraTable || storedData?.shortSaleVolumeFinraTable || null,
     failureToDeliver: failureToDeliverAbs ?? null,
     regShoMinFtds: regShoMinFtdsAbs ?? null,
-    lastDataUpdate: storedData?.lastDataUpdate || pickFromCrawlsTop(storedData, 'lastDataUpdate') || null,
+    regShoForecast,
+    lastDataUpdate: storedOrCrawled('lastDataUpdate') || null,
     sharesOutstanding: sharesOutstandingAbs ?? null,
     estimatedCash: estimatedCashDollars ?? null,
+    quarterlyCashFlow: quarterlyCashFlowDollars ?? null,
+    cashRunwayMonths: runwayMonths,
     marketCap: marketCapDollars ?? null,
     enterpriseValue: enterpriseValueDollars ?? null,
     estimatedNetCashPerShare: estimatedNetCashPerShareVal ?? null,
     shortBorrowRateTable: storedData?.shortBorrowRateTable || null,
-    failsToDeliverTable: storedData?.failsToDeliverTable || null,
+    failsToDeliverTable: storedData?.failsToDeliverTable || secFtd?.table || null,
     shortSharesAvailabilityTable: storedData?.shortSharesAvailabilityTable || null,
-    sector: storedData?.sector || pickFromCrawlsTop(storedData, 'sector') || null,
-    industry: storedData?.industry || pickFromCrawlsTop(storedData, 'industry') || null,
-    country: storedData?.country || pickFromCrawlsTop(storedData, 'country') || null,
-    exchange: storedData?.exchange || pickFromCrawlsTop(storedData, 'exchange') || null,
+    sector: storedOrCrawled('sector') || null,
+    industry: storedOrCrawled('industry') || null,
+    country: storedOrCrawled('country') || null,
+    exchange: storedOrCrawled('exchange') || null,
     institutionalOwnership: institutionalOwnershipPercent ?? null,
     optionsTradingEnabled: optionsEnabled,
     regShoThreshold: regShoResult ? regShoResult.onList : (storedData?.regShoThreshold ?? null),
     regShoSources: regShoResult ? regShoResult.sources : (storedData?.regShoSources || null),
+    regShoStreak: regShoResult?.streak ?? null,
     regularMarketChange: storedData?.regularMarketChange || null,
-    extendedMarketChange: storedData?.extendedMarketChange || null
+    extendedMarketChange: storedData?.extendedMarketChange || null,
+    inputAlternates: collectInputAlternates(storedData)
   };
+  pack.provenance = Object.fromEntries(Object.entries(provenance).filter(([field, from]) => from && pack[field] != null));
+  // Fields past the active profile's maxAgeDays: dimmed in the tooltip, unknown to
+  // the score unless the profile sets scoreStaleInputs
+  const profile = await loadActiveProfile();
+  pack.staleFields = staleFields(pack.provenance, profile);
+  pack.staleInputsScored = !!profile.scoreStaleInputs;
 
   console.log(`📦 Service Worker: Final pack for ${key}:`, pack);
   console.log(`🔍 Service Worker: Key fintel fields in pack:`, {
@@ -655,10 +999,186 @@ async function fetchPack(symbol) {
     finraExemptVolume: pack.finraExemptVolume
   });
   
-  cache.set(key, pack);
+  try {
+    const history = await recordScoreHistory(key, pack);
+    pack.scoreHistory = history.slice(-SCORE_TREND_DAYS).map(({ date, score }) => ({ date, score }));
+  } catch (err) {
+    console.warn(`⚠️ Score history update failed for ${key}:`, err);
+    pack.scoreHistory = null;
+  }
+
+  try {
+    pack.scoreRank = await computeScoreRank(key, storedData);
+  } catch (err) {
+    console.warn(`⚠️ Score rank failed for ${key}:`, err);
+    pack.scoreRank = null;
+  }
+
+  await writePackCache(key, { builtAt: now, sourceHash: await packSourceHash(key), fields, pack });
   return pack;
 }
 
+/**
+ * Record today's squeeze score for a symbol in its daily series
+ * (`score_history_<SYMBOL>`), keyed by Eastern trading date. Re-scoring on the
+ * same day overwrites that day's entry. Returns the series, oldest first.
+ */
+function recordScoreHistory(symbol, pack) {
+  const historyKey = `score_history_${symbol}`;
+  return serializeStorageWrite(historyKey, () => appendScoreHistory(historyKey, pack));
+}
+
+async function appendScoreHistory(historyKey, pack) {
+  const existing = await chrome.storage.local.get(historyKey);
+  let history = Array.isArray(existing[historyKey]) ? existing[historyKey] : [];
+
+  const profile = await loadActiveProfile();
+  const inputs = scoreInputsFromPack(pack, profile);
+  if (!inputs) return history;
+
+  const entry = {
+    date: formatDateISO(easternNowDate()),
+    recordedAt: Date.now(),
+    score: scoreConsensus(inputs, profile),
+    breakdown: scoreBreakdown(inputs, profile),
+    inputs
+  };
+
+  history = history.filter(item => item && item.date !== entry.date);
+  history.push(entry);
+  history.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  history = history.slice(-SCORE_HISTORY_MAX_DAYS);
+
+  await chrome.storage.local.set({ [historyKey]: history });
+  return history;
+}
+
+// Crawl keys that carry the same model input under different sources' labels
+const INPUT_ALTERNATE_KEYS = {
+  float_shares: { keys: ['latestFloat', 'float', 'Free Float'], parse: parseShares },
+  si_pct: { keys: ['shortInterestPercentFloat', 'Short Float %'], parse: parsePercent },
+  ctb: { keys: ['costToBorrow', 'Cost to Borrow (IBKR)'], parse: parsePercent }
+};
+
+// Every distinct value DilutionTracker/Fintel crawls reported for the scored
+// inputs, so sensitivity analysis can score across disagreeing sources
+function collectInputAlternates(stored) {
+  const crawls = stored?.pageCrawls || {};
+  const alternates = {};
+  for (const [field, { keys, parse }] of Object.entries(INPUT_ALTERNATE_KEYS)) {
+    const values = new Set();
+    for (const crawl of Object.values(crawls)) {
+      for (const key of keys) {
+        const occurrences = Array.isArray(crawl?.values?.[key]) ? crawl.values[key] : [];
+        [...occurrences.map(o => o?.value), crawl?.inferred?.[key]].forEach(raw => {
+          const parsed = parse(raw);
+          if (parsed != null && parsed > 0) values.add(parsed);
+        });
+      }
+    }
+    if (values.size) alternates[field] = [...values];
+  }
+  return Object.keys(alternates).length ? alternates : null;
+}
+
+// Scoring inputs from a stored ticker_ entry, which fetchPack keeps normalized,
+// with enough provenance for staleFields
+function packFromStoredTicker(stored) {
+  const crawled = ['shortInterestRatio', 'shortSharesAvailable', 'estimatedCash', 'marketCap']
+    .reduce((acc, field) => ({ ...acc, [field]: pickFromCrawls(stored, field) }), {});
+  const provenance = {
+    float: storedSource(stored, 'latestFloat'),
+    ...Object.fromEntries(Object.entries(crawled).map(([field, hit]) => [field, hit?.from])),
+    ...Object.fromEntries(['shortInterest', 'shortInterestPercentFloat', 'costToBorrow', 'failureToDeliver', 'regShoThreshold', 'quarterlyCashFlow', 'shortBorrowRateTable']
+      .map(field => [field, storedSource(stored, field)]))
+  };
+  return {
+    float: parseShares(stored.latestFloat),
+    shortInterest: stored.shortInterest ?? null,
+    shortInterestPercentFloat: stored.shortInterestPercentFloat ?? null,
+    shortInterestRatio: parseNumber(crawled.shortInterestRatio?.value),
+    costToBorrow: stored.costToBorrow ?? null,
+    shortSharesAvailable: parseShares(crawled.shortSharesAvailable?.value),
+    failureToDeliver: parseShares(stored.failureToDeliver),
+    regShoThreshold: typeof stored.regShoThreshold === 'boolean' ? stored.regShoThreshold : null,
+    estimatedCash: parseDollars(crawled.estimatedCash?.value),
+    quarterlyCashFlow: parseDollars(stored.quarterlyCashFlow),
+    marketCap: parseDollars(crawled.marketCap?.value),
+    shortBorrowRateTable: Array.isArray(stored.shortBorrowRateTable) ? stored.shortBorrowRateTable : null,
+    provenance
+  };
+}
+
+// Latest threshold-list date across exchange sources, as YYYY-MM-DD
+function regShoListDate(sources) {
+  const dates = Object.values(sources || {})
+    .map(source => String(source?.date || ''))
+    .map(date => (/^\d{8}$/.test(date) ? `${date.slice(0, 4)}-${date.slice(4, 6)}-${date.slice(6)}` : date.slice(0, 10)))
+    .filter(Boolean)
+    .sort();
+  return dates.length ? dates[dates.length - 1] : null;
+}
+
+// Rank entry for one stored ticker_ entry, or null when it can't be scored
+function scorePeer(stored, profile) {
+  if (!stored || typeof stored !== 'object') return null;
+  const inputs = scoreInputsFromPack(packFromStoredTicker(stored), profile);
+  if (!inputs) return null;
+  return {
+    score: scoreConsensus(inputs, profile),
+    regSho: stored.regShoThreshold === true,
+    listDate: regShoListDate(stored.regShoSources)
+  };
+}
+
+// Scores for every ticker_ entry named in ticker_list, rebuilt at most every
+// SCORE_RANK_TTL_MS or when the active profile changes
+async function loadPeerScores(profile) {
+  const profileKey = JSON.stringify(profile);
+  if (peerScoreCache && peerScoreCache.profileKey === profileKey && (Date.now() - peerScoreCache.builtAt) < SCORE_RANK_TTL_MS) {
+    return peerScoreCache.peers;
+  }
+  const { ticker_list: tickerList } = await chrome.storage.local.get('ticker_list');
+  const symbols = Array.isArray(tickerList) ? tickerList.filter(symbol => typeof symbol === 'string') : [];
+  const stored = symbols.length ? await chrome.storage.local.get(symbols.map(symbol => `ticker_${symbol}`)) : {};
+  const peers = new Map();
+  for (const symbol of symbols) {
+    const peer = scorePeer(stored[`ticker_${symbol}`], profile);
+    if (peer) peers.set(symbol, peer);
+  }
+  peerScoreCache = { builtAt: Date.now(), profileKey, peers };
+  return peers;
+}
+
+/**
+ * Percentile of a symbol's score among all tracked tickers and among the
+ * tracked names on the latest Reg SHO threshold list. The symbol is scored
+ * from its stored entry, the same inputs its peers are scored from, so
+ * rank.score can differ from the pack's headline score.
+ */
+async function computeScoreRank(symbol, stored) {
+  const profile = await loadActiveProfile();
+  const subject = scorePeer(stored, profile);
+  if (!subject) return null;
+  const { score } = subject;
+
+  const peers = new Map(await loadPeerScores(profile));
+  peers.set(symbol, subject);
+  const all = [...peers.values()];
+
+  const rank = {
+    score,
+    watchlist: { percentile: percentileRank(score, all.map(p => p.score)), count: all.length },
+    regSho: null
+  };
+  const listDate = all.map(p => p.listDate).filter(Boolean).sort().pop() || null;
+  const listed = all.filter(p => p.regSho && p.listDate === listDate);
+  if (listed.length) {
+    rank.regSho = { percentile: percentileRank(score, listed.map(p => p.score)), count: listed.length, date: listDate };
+  }
+  return rank;
+}
+
 function valueOrNull(p) {
   return p.status === 'fulfilled' ? (p.value ?? null) : null;
 }
@@ -826,6 +1346,34 @@ function extractFtdValue(tableRows) {
   return null;
 }
 
+// [{ date: YYYY-MM-DD, quantity }] from a crawled fails-to-deliver table
+function ftdHistoryFromTable(tableRows) {
+  if (!Array.isArray(tableRows)) return [];
+  const days = [];
+  for (const row of tableRows) {
+    const rawDate = String(row?.date || '').trim();
+    let m = rawDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    const date = m ? `${m[1]}-${m[2]}-${m[3]}`
+      : (m = rawDate.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/)) ? `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}` : null;
+    const quantityKey = Object.keys(row || {}).find(key => /quantity|shares|fails|ftd/i.test(key) && !/value|price|date/i.test(key));
+    const quantity = quantityKey ? parseShares(row[quantityKey]) : null;
+    if (date && Number.isFinite(quantity)) days.push({ date, quantity });
+  }
+  return days;
+}
+
+// Display rows for the tooltip's FINRA short sale volume table
+function shortVolumeTable(history) {
+  if (!history.length) return null;
+  return history.map(day => ({
+    date: day.date,
+    shortVolume: Math.round(day.shortVolume).toLocaleString(),
+    shortExemptVolume: day.shortExemptVolume == null ? '' : Math.round(day.shortExemptVolume).toLocaleString(),
+    totalVolume: Math.round(day.totalVolume).toLocaleString(),
+    shortRatio: day.ratio == null ? '' : formatPercentTwoDecimals(day.ratio)
+  }));
+}
+
 function formatPercentTwoDecimals(value) {
   if (!Number.isFinite(value)) return null;
   const fixed = value.toFixed(2);
@@ -862,30 +1410,42 @@ async function fetchFreeFloat(symbol) {
    Short Interest (Fintel)
 ---------------------------- */
 
-/* Short Interest: Fintel first, FinViz fallback */
+/* Short Interest: FINRA file first, then Fintel, FinViz fallback. Returns the
+   FINRA row or { text }, tagged with its source and URL */
 async function fetchShortInterest(symbol) {
+  // FINRA consolidated short interest (shares, prior period, days to cover)
+  try {
+    const finra = await lookupShortInterest(symbol);
+    if (finra) {
+      const url = `${FINRA_SI_BASE_URL}shrt${String(finra.settlementDate || '').replace(/-/g, '')}.csv`;
+      return { ...finra, source: 'finra', url };
+    }
+  } catch (err) {
+    console.warn(`⚠️ FINRA short interest lookup failed for ${symbol}:`, err);
+  }
+
   // Try Fintel short interest page (shares value)
   try {
     const fintel = await fetchFintelShortInterest(symbol);
-    if (fintel) return fintel; // e.g., "167,565,108 shares"
+    if (fintel) return { text: fintel, source: 'fintel', url: `https://fintel.io/ss/us/${encodeURIComponent(symbol)}` }; // e.g., "167,565,108 shares"
   } catch (_) {
     // ignore and fallback
   }
 
   // IBKR placeholder (if ever implemented later)
   const ibkr = await fetchShortInterestIBKR(symbol);
-  if (ibkr) return ibkr;
+  if (ibkr) return { text: ibkr, source: 'ibkr', url: null };
 
   // FinViz fallback (often a percent like "Short Float")
   try {
-    const resp = await fetch(`https://finviz.com/quote.ashx?t=${encodeURIComponent(symbol)}`, { cache: 'no-cache' });
+    const url = `https://finviz.com/quote.ashx?t=${encodeURIComponent(symbol)}`;
+    const resp = await fetch(url, { cache: 'no-cache' });
     if (!resp.ok) return null;
     const text = await resp.text();
-    // parse “Short Float” or “Short Interest” values via regex
-    let m = text.match(/Short\s*Float[^<]*<td[^>]*>([^<]+)/i);
-    if (m) return m[1].trim();
-    m = text.match(/Short\s*Interest[^<]*<td[^>]*>([^<]+)/i);
-    if (m) return m[1].trim();
+    // parse the “Short Interest” share count; “Short Float” is a percent and
+    // must not land in the shares field
+    const m = text.match(/Short\s*Interest[^<]*<td[^>]*>([^<]+)/i);
+    if (m && !m[1].includes('%')) return { text: m[1].trim(), source: 'finviz', url };
   } catch (_) {
     // swallow
   }
@@ -931,14 +1491,20 @@ function parseFintelShortInterest(html) {
   return null;
 }
 
-/* CTB: IBKR stub (requires API credentials), FinViz has no borrow fee */
+/* CTB: IBKR shortable-stock file, when a mirror is configured (FinViz has no borrow fee) */
 async function fetchCTB(symbol) {
-  return await fetchCTBFromIBKR(symbol); // implement once you have IBKR access
+  return await fetchCTBFromIBKR(symbol);
+}
+
+/* Shares available to borrow: IBKR shortable-stock file */
+async function fetchShortableShares(symbol) {
+  const row = await lookupShortable(symbol);
+  return row ? row.available : null;
 }
 
-/* FTD: disabled (Fintel removed) */
+/* FTD: SEC fails-to-deliver files (latest dollar value + recent rows) */
 async function fetchLatestFTD(symbol) {
-  return null;
+  return await lookupFtd(symbol);
 }
 
 /* ---------------------------
@@ -1036,7 +1602,7 @@ async function fetchShortInterestIBKR(_symbol) {
   return null;
 }
 
-async function fetchCTBFromIBKR(_symbol) {
-  // TODO: implement when IBKR API setup
-  return null;
+async function fetchCTBFromIBKR(symbol) {
+  const row = await lookupShortable(symbol);
+  return row && row.feeRate != null ? `${row.feeRate}%` : null;
 }
@@ -1,187 +1,474 @@
 // squeezeScore.js — ES module for Chrome extensions / web
 // Nothing hits 100; scores capped at 99.
 
+import { tradingDaysBetween } from "./market_calendar.js";
+
 /** ---------- Utilities ---------- */
 const clamp99 = (x) => Math.min(x, 99);
+// Missing inputs are "unknown" (null), never 0/false: an unknown CTB must not
+// score like a 0% borrow fee.
 const asFloat = (v) => {
-  if (v == null) return 0;
+  if (v == null) return null;
+  if (typeof v === "number") return Number.isNaN(v) ? null : v;
   const s = String(v).trim().replace(/,/g, "");
+  if (!s) return null;
   const n = Number(s);
-  return Number.isFinite(n) ? n : 0;
+  return Number.isFinite(n) ? n : null;
 };
 const asBool = (v) => {
+  if (v == null) return null;
   if (typeof v === "boolean") return v;
   const s = String(v).trim().toLowerCase();
+  if (!s) return null;
   return s === "1" || s === "true" || s === "t" || s === "yes" || s === "y";
 };
 
 /** ---------- Tunable thresholds / weights ---------- */
-const FLOAT_BUCKETS = [
-  [5_000_000, 35],
-  [10_000_000, 30],
-  [20_000_000, 25],
-  [50_000_000, 15],
-  [Infinity, 5],
-];
+// Everything below is plain JSON so a profile can be stored in chrome.storage.
+// Step tables: { op, steps: [[threshold, value], ...], otherwise } — first step whose
+// threshold satisfies `value op threshold` wins. Rules: { when: [[field, op, threshold], ...] }.
+// An unknown input earns no points (multiplier 1.0) and never satisfies a rule condition.
+const FLOAT_BUCKETS = {
+  op: "<",
+  steps: [
+    [5_000_000, 35],
+    [10_000_000, 30],
+    [20_000_000, 25],
+    [50_000_000, 15],
+  ],
+  otherwise: 5,
+};
 
 const REGSHO_BONUS = 4;
 
 /** Guardrails (minimum baseline rules) */
-function applyMinimumsAdditive(score, floatShares, ctb, siPct) {
-  if (floatShares < 10_000_000 && ctb > 300) score = Math.max(score, 91);
-  if (floatShares < 5_000_000 && ctb > 100) score = Math.max(score, 88);
-  if (floatShares < 30_000_000 && ctb > 50 && siPct >= 20) score = Math.max(score, 85);
-  return score;
+const GUARDRAILS = [
+  { when: [["float_shares", "<", 10_000_000], ["ctb", ">", 300]], min: 91 },
+  { when: [["float_shares", "<", 5_000_000], ["ctb", ">", 100]], min: 88 },
+  { when: [["float_shares", "<", 30_000_000], ["ctb", ">", 50], ["si_pct", ">=", 20]], min: 85 },
+];
+
+const BONUS_RULES = [
+  { when: [["float_shares", "<", 15_000_000], ["si_pct", ">=", 20]], points: 4 },
+  { when: [["float_shares", "<", 10_000_000], ["ctb", ">", 200]], points: 6 },
+  { when: [["float_shares", "<", 5_000_000], ["ctb", ">", 100]], points: 8 },
+  { when: [["si_pct", ">=", 30]], points: 5 },
+  { when: [["ctb", ">=", 100]], points: 4 },
+  { when: [["ctb", ">=", 50], ["si_pct", ">=", 20]], points: 3 },
+];
+
+const FTD_RULES = [
+  { when: [["ftd_val", ">=", 25_000_000]], points: 12 },
+  { when: [["ftd_val", ">=", 10_000_000]], points: 9 },
+  { when: [["ftd_val", ">=", 5_000_000]], points: 6 },
+  { when: [["ftd_val", ">=", 1_000_000]], points: 4 },
+];
+
+export const DEFAULT_PROFILE = Object.freeze({
+  name: "Default",
+
+  // Additive model (scoreAdditive)
+  floatBuckets: FLOAT_BUCKETS,
+  ctbBuckets: { op: ">=", steps: [[500, 24], [300, 23], [100, 19], [50, 14], [25, 10], [10, 5]], otherwise: 0 },
+  siBuckets: { op: ">=", steps: [[50, 25], [20, 19], [10, 14], [5, 10]], otherwise: 0 },
+  additiveBonusRules: [
+    { when: [["float_shares", "<", 10_000_000], ["si_pct", ">=", 20]], points: 8 },
+    { when: [["float_shares", "<", 5_000_000], ["ctb", ">", 100]], points: 12 },
+    { when: [["float_shares", "<", 10_000_000], ["ctb", ">", 300]], points: 8 },
+  ],
+  ftdBuckets: { op: ">=", steps: [[10_000_000, 9], [5_000_000, 7], [1_000_000, 5]], otherwise: 0 },
+  regshoBonus: REGSHO_BONUS,
+  // Borrow fee trend: slope in percentage points/day, acceleration in points/day²
+  ctbSlopeBuckets: { op: ">=", steps: [[30, 8], [15, 5], [5, 2]], otherwise: 0 },
+  ctbAccelBuckets: { op: ">=", steps: [[10, 4], [3, 2]], otherwise: 0 },
+  dtcBuckets: { op: ">=", steps: [[10, 8], [5, 6], [3, 4], [2, 2]], otherwise: 0 },
+  utilBuckets: { op: ">=", steps: [[95, 8], [85, 6], [70, 4], [50, 2]], otherwise: 0 },
+
+  // Multiplicative model (scoreMultiplicative)
+  floatMultiplier: { op: "<", steps: [[5_000_000, 3.0], [10_000_000, 2.5], [20_000_000, 2.0], [50_000_000, 1.5]], otherwise: 1.0 },
+  ctbMultiplier: { op: ">=", steps: [[500, 3.0], [300, 2.7], [100, 2.0], [50, 1.6], [25, 1.3]], otherwise: 1.0 },
+  siMultiplier: { op: ">=", steps: [[50, 2.5], [20, 2.0], [10, 1.5], [5, 1.2]], otherwise: 1.0 },
+  ftdMultiplier: { op: ">=", steps: [[10_000_000, 1.3], [5_000_000, 1.2], [1_000_000, 1.1]], otherwise: 1.0 },
+  regshoMultiplier: 1.05,
+  dtcMultiplier: { op: ">=", steps: [[10, 1.3], [5, 1.2], [3, 1.1]], otherwise: 1.0 },
+  utilMultiplier: { op: ">=", steps: [[95, 1.3], [85, 1.2], [70, 1.1]], otherwise: 1.0 },
+  ctbSlopeMultiplier: { op: ">=", steps: [[30, 1.25], [15, 1.15], [5, 1.05]], otherwise: 1.0 },
+  multiplicativeAnchor: 45, // empirical “max” raw product
+
+  // Consensus breakdown components (scoreBreakdown)
+  floatPoints: { op: "<=", steps: [[1_000_000, 35], [5_000_000, 30], [10_000_000, 25], [20_000_000, 20], [50_000_000, 12]], otherwise: 5 },
+  ctbPoints: { op: ">=", steps: [[500, 24], [300, 23], [150, 20], [100, 17], [50, 11], [25, 7]], otherwise: 2 },
+  siPoints: { op: ">=", steps: [[50, 24], [30, 21], [20, 17], [10, 12], [5, 7]], otherwise: 2 },
+  dtcPoints: { op: ">=", steps: [[10, 8], [5, 6], [3, 4], [2, 2]], otherwise: 0 },
+  utilPoints: { op: ">=", steps: [[95, 8], [85, 6], [70, 4], [50, 2]], otherwise: 0 },
+  ctbSlopePoints: { op: ">=", steps: [[30, 8], [15, 5], [5, 2]], otherwise: 0 },
+  ctbAccelPoints: { op: ">=", steps: [[10, 4], [3, 2]], otherwise: 0 },
+  bonusRules: BONUS_RULES,
+  ftdRules: FTD_RULES,
+
+  // Dilution risk: points deducted from every model after guardrails
+  runwayPenalty: { op: "<", steps: [[3, -15], [6, -10], [12, -5]], otherwise: 0 },
+  cashToMarketCapPenalty: { op: "<", steps: [[5, -6], [10, -4], [20, -2]], otherwise: 0 },
+
+  // Shared by both models
+  guardrails: GUARDRAILS,
+
+  // Custom models: [{ name, expression }] scored alongside the built-ins (see compileFormula)
+  formulaModels: [],
+
+  // Sensitivity analysis (scoreSensitivity): ± fraction each input may be off by
+  sensitivityBands: { float_shares: 0.2, si_pct: 0.2, ctb: 0.3, ftd_val: 0.3, dtc: 0.2, util_pct: 0.1 },
+
+  // Staleness (staleFields): trading days after its data date (or observation) a
+  // pack field stops being trusted. Stale fields are dimmed in the tooltip and
+  // scored as unknown unless scoreStaleInputs is set. FINRA publishes short
+  // interest about 8 trading days after each twice-monthly settlement date.
+  maxAgeDays: {
+    float: 90, sharesOutstanding: 90,
+    shortInterest: 20, shortInterestRatio: 20,
+    costToBorrow: 1, shortSharesAvailable: 1, shortBorrowRateTable: 3,
+    failureToDeliver: 30, estimatedCash: 120, quarterlyCashFlow: 120, marketCap: 7,
+  },
+  scoreStaleInputs: false,
+});
+
+/** ---------- Profiles ---------- */
+export const PROFILES_STORAGE_KEY = "squeeze_profiles";
+export const ACTIVE_PROFILE_STORAGE_KEY = "squeeze_active_profile";
+
+const isPlainObject = (v) => v != null && typeof v === "object" && !Array.isArray(v);
+const isFiniteNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isComparator = (op) => typeof op === "string" && Object.hasOwn(COMPARATORS, op);
+
+// An override as scoring sees it: objects are merged key by key onto the default
+const mergeProfileEntry = (base, value) => (isPlainObject(base) && isPlainObject(value) ? { ...base, ...value } : value);
+
+// Why a merged profile entry can't be scored with (null when it can). The
+// expected shape is that of the DEFAULT_PROFILE entry: step tables, rule lists,
+// objects of numbers (bands, max ages) or plain numbers and booleans.
+function profileEntryError(key, value) {
+  const base = DEFAULT_PROFILE[key];
+  if (key === "formulaModels") return Array.isArray(value) ? null : "must be an array of { name, expression }";
+  if (Array.isArray(base)) {
+    if (!Array.isArray(value)) return "must be an array of rules";
+    const result = "min" in base[0] ? "min" : "points";
+    for (const rule of value) {
+      if (!isPlainObject(rule) || !Array.isArray(rule.when)) return 'rules need a "when" list';
+      const conditionsOk = rule.when.every((cond) =>
+        Array.isArray(cond) && typeof cond[0] === "string" && isComparator(cond[1]) && isFiniteNumber(cond[2]));
+      if (!conditionsOk) return `conditions must be [field, op, number] with op one of ${Object.keys(COMPARATORS).join(" ")}`;
+      if (!isFiniteNumber(rule[result])) return `rules need a numeric "${result}"`;
+    }
+    return null;
+  }
+  if (isPlainObject(base) && "steps" in base) {
+    if (!isPlainObject(value)) return "must be a step table { op, steps, otherwise }";
+    if (!isComparator(value.op)) return `op must be one of ${Object.keys(COMPARATORS).join(" ")}`;
+    const stepsOk = Array.isArray(value.steps) && value.steps.every((step) =>
+      Array.isArray(step) && step.length === 2 && step.every(isFiniteNumber));
+    if (!stepsOk) return "steps must be [threshold, value] number pairs";
+    return isFiniteNumber(value.otherwise) ? null : '"otherwise" must be a number';
+  }
+  if (isPlainObject(base)) {
+    if (!isPlainObject(value)) return "must be an object of numbers";
+    return Object.values(value).every((v) => isFiniteNumber(v) && v >= 0) ? null : "values must be numbers of at least 0";
+  }
+  if (typeof base === "number") {
+    if (!isFiniteNumber(value)) return "must be a number";
+    return key === "multiplicativeAnchor" && !(value > 0) ? "must be greater than 0" : null;
+  }
+  return typeof value === typeof base ? null : `must be a ${typeof base}`;
+}
+
+/**
+ * Merge stored overrides onto DEFAULT_PROFILE. Unknown keys and values of the
+ * wrong shape (down to each step and rule, see profileEntryError) fall back to
+ * the default so a bad edit can't break scoring.
+ * @param {object=} overrides
+ * @returns {object}
+ */
+export function resolveProfile(overrides) {
+  if (!isPlainObject(overrides)) return DEFAULT_PROFILE;
+  const profile = { ...DEFAULT_PROFILE };
+  for (const [key, base] of Object.entries(DEFAULT_PROFILE)) {
+    const value = overrides[key];
+    if (value == null || key === "name") continue;
+    const merged = mergeProfileEntry(base, value);
+    if (!profileEntryError(key, merged)) profile[key] = merged;
+  }
+  profile.name = typeof overrides.name === "string" && overrides.name.trim()
+    ? overrides.name.trim()
+    : DEFAULT_PROFILE.name;
+  return profile;
+}
+
+const hasChromeStorage = () =>
+  typeof chrome !== "undefined" && !!chrome.storage && !!chrome.storage.local;
+
+/**
+ * Stored profile overrides keyed by name (the built-in Default is not stored).
+ * @returns {Promise<Record<string, object>>}
+ */
+export async function listProfiles() {
+  if (!hasChromeStorage()) return {};
+  const res = await chrome.storage.local.get(PROFILES_STORAGE_KEY);
+  return isPlainObject(res[PROFILES_STORAGE_KEY]) ? res[PROFILES_STORAGE_KEY] : {};
+}
+
+/**
+ * Store a named profile. Throws (with a message for the editor) when an entry
+ * has the wrong shape, rather than storing something resolveProfile would drop.
+ * @param {string} name
+ * @param {object} overrides
+ * @returns {Promise<object>} the resolved profile
+ */
+export async function saveProfile(name, overrides) {
+  const trimmed = String(name || "").trim();
+  if (!trimmed || trimmed === DEFAULT_PROFILE.name) throw new Error(`Invalid profile name: "${name}"`);
+  if (!isPlainObject(overrides)) throw new Error("Profile overrides must be an object");
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key === "name" || value == null || !Object.hasOwn(DEFAULT_PROFILE, key)) continue;
+    const error = profileEntryError(key, mergeProfileEntry(DEFAULT_PROFILE[key], value));
+    if (error) throw new Error(`${key}: ${error}`);
+  }
+  if (overrides.formulaModels != null) validateFormulaModels(overrides.formulaModels);
+  const profiles = await listProfiles();
+  profiles[trimmed] = { ...overrides, name: trimmed };
+  await chrome.storage.local.set({ [PROFILES_STORAGE_KEY]: profiles });
+  return resolveProfile(profiles[trimmed]);
+}
+
+export async function deleteProfile(name) {
+  const profiles = await listProfiles();
+  if (!profiles[name]) return;
+  delete profiles[name];
+  const res = await chrome.storage.local.get(ACTIVE_PROFILE_STORAGE_KEY);
+  const updates = { [PROFILES_STORAGE_KEY]: profiles };
+  if (res[ACTIVE_PROFILE_STORAGE_KEY] === name) updates[ACTIVE_PROFILE_STORAGE_KEY] = DEFAULT_PROFILE.name;
+  await chrome.storage.local.set(updates);
+}
+
+export async function setActiveProfile(name) {
+  await chrome.storage.local.set({ [ACTIVE_PROFILE_STORAGE_KEY]: name || DEFAULT_PROFILE.name });
+}
+
+/**
+ * Resolve the profile selected in extension storage; falls back to DEFAULT_PROFILE
+ * outside the extension or when the stored selection no longer exists.
+ * @returns {Promise<object>}
+ */
+export async function loadActiveProfile() {
+  if (!hasChromeStorage()) return DEFAULT_PROFILE;
+  try {
+    const res = await chrome.storage.local.get([PROFILES_STORAGE_KEY, ACTIVE_PROFILE_STORAGE_KEY]);
+    const name = res[ACTIVE_PROFILE_STORAGE_KEY];
+    const profiles = isPlainObject(res[PROFILES_STORAGE_KEY]) ? res[PROFILES_STORAGE_KEY] : {};
+    if (!name || !isPlainObject(profiles[name])) return DEFAULT_PROFILE;
+    return resolveProfile({ ...profiles[name], name });
+  } catch (e) {
+    console.warn("loadActiveProfile failed, using default:", e);
+    return DEFAULT_PROFILE;
+  }
 }
-function applyMinimumsMultiplicative(score, floatShares, ctb, siPct) {
-  if (floatShares < 10_000_000 && ctb > 300) score = Math.max(score, 91);
-  if (floatShares < 5_000_000 && ctb > 100) score = Math.max(score, 88);
-  if (floatShares < 30_000_000 && ctb > 50 && siPct >= 20) score = Math.max(score, 85);
+
+/** ---------- Table / rule evaluation ---------- */
+const COMPARATORS = {
+  "<": (a, b) => a < b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  ">=": (a, b) => a >= b,
+  "==": (a, b) => a === b,
+};
+
+function stepValue(table, x, unknown = 0) {
+  if (x == null) return unknown;
+  const cmp = COMPARATORS[table?.op] ?? COMPARATORS[">="];
+  for (const [thr, val] of table?.steps ?? []) {
+    if (cmp(x, thr)) return val;
+  }
+  return table?.otherwise ?? 0;
+}
+
+function ruleMatches(rule, payload) {
+  const conds = Array.isArray(rule?.when) ? rule.when : [];
+  return conds.length > 0 && conds.every(([field, op, thr]) => {
+    const cmp = COMPARATORS[op];
+    return !!cmp && payload[field] != null && cmp(payload[field], thr);
+  });
+}
+
+function applyMinimums(score, payload, profile) {
+  for (const rule of profile.guardrails) {
+    if (ruleMatches(rule, payload)) score = Math.max(score, rule.min);
+  }
   return score;
 }
+const applyMinimumsAdditive = applyMinimums;
+const applyMinimumsMultiplicative = applyMinimums;
 
 /** ---------- Multipliers for multiplicative model ---------- */
-function floatMultiplier(floatShares) {
-  if (floatShares < 5_000_000) return 3.0;
-  if (floatShares < 10_000_000) return 2.5;
-  if (floatShares < 20_000_000) return 2.0;
-  if (floatShares < 50_000_000) return 1.5;
-  return 1.0;
-}
-function ctbMultiplier(ctb) {
-  if (ctb >= 500) return 3.0;
-  if (ctb >= 300) return 2.7;
-  if (ctb >= 100) return 2.0;
-  if (ctb >= 50)  return 1.6;
-  if (ctb >= 25)  return 1.3;
-  return 1.0;
-}
-function siMultiplier(siPct) {
-  if (siPct >= 50) return 2.5;
-  if (siPct >= 20) return 2.0;
-  if (siPct >= 10) return 1.5;
-  if (siPct >= 5)  return 1.2;
-  return 1.0;
-}
-function ftdMultiplier(ftdVal) {
-  if (ftdVal >= 10_000_000) return 1.3;
-  if (ftdVal >= 5_000_000)  return 1.2;
-  if (ftdVal >= 1_000_000)  return 1.1;
-  return 1.0;
-}
-const regshoMultiplier = (regsho) => (regsho ? 1.05 : 1.0);
+const floatMultiplier = (floatShares, profile) => stepValue(profile.floatMultiplier, floatShares, 1.0);
+const ctbMultiplier = (ctb, profile) => stepValue(profile.ctbMultiplier, ctb, 1.0);
+const siMultiplier = (siPct, profile) => stepValue(profile.siMultiplier, siPct, 1.0);
+const ftdMultiplier = (ftdVal, profile) => stepValue(profile.ftdMultiplier, ftdVal, 1.0);
+const regshoMultiplier = (regsho, profile) => (regsho ? profile.regshoMultiplier : 1.0);
+const dtcMultiplier = (dtc, profile) => stepValue(profile.dtcMultiplier, dtc, 1.0);
+const utilMultiplier = (utilPct, profile) => stepValue(profile.utilMultiplier, utilPct, 1.0);
+const ctbSlopeMultiplier = (slope, profile) => stepValue(profile.ctbSlopeMultiplier, slope, 1.0);
 
 /** ---------- Additive model ---------- */
-export function scoreAdditive({ float_shares, si_pct, ctb, ftd_val, regsho }) {
-  let score = 0;
-
-  // Float
-  const floatPts = FLOAT_BUCKETS.find(([thr]) => float_shares < thr)?.[1] ?? 5;
-  score += floatPts;
-
-  // CTB
-  if (ctb >= 500) score += 24;
-  else if (ctb >= 300) score += 23;
-  else if (ctb >= 100) score += 19;
-  else if (ctb >= 50)  score += 14;
-  else if (ctb >= 25)  score += 10;
-  else if (ctb >= 10)  score += 5;
-
-  // SI%
-  if (si_pct >= 50) score += 25;
-  else if (si_pct >= 20) score += 19;
-  else if (si_pct >= 10) score += 14;
-  else if (si_pct >= 5)  score += 10;
-
-  // Bonuses
-  if (float_shares < 10_000_000 && si_pct >= 20) score += 8;
-  if (float_shares < 5_000_000 && ctb > 100)     score += 12;
-  if (float_shares < 10_000_000 && ctb > 300)    score += 8;
-
-  // FTDs ($)
-  if (ftd_val >= 10_000_000)      score += 9;
-  else if (ftd_val >= 5_000_000)   score += 7;
-  else if (ftd_val >= 1_000_000)   score += 5;
-
-  // RegSHO bonus only
-  if (regsho) score += REGSHO_BONUS;
-
-  // Guardrails & cap
-  score = applyMinimumsAdditive(score, float_shares, ctb, si_pct);
+function additiveParts(payload, profile) {
+  const { float_shares, si_pct, ctb, ftd_val, regsho, dtc, util_pct, ctb_slope, ctb_accel } = payload;
+  const bonusRules = profile.additiveBonusRules.filter((rule) => ruleMatches(rule, payload));
+  return {
+    Float: stepValue(profile.floatBuckets, float_shares),
+    CTB: stepValue(profile.ctbBuckets, ctb),
+    "SI%": stepValue(profile.siBuckets, si_pct),
+    Bonuses: bonusRules.reduce((total, rule) => total + rule.points, 0),
+    FTD: stepValue(profile.ftdBuckets, ftd_val),
+    RegSHO: regsho ? profile.regshoBonus : 0,
+    DTC: stepValue(profile.dtcBuckets, dtc),
+    Utilization: stepValue(profile.utilBuckets, util_pct),
+    "CTB Trend": stepValue(profile.ctbSlopeBuckets, ctb_slope) + stepValue(profile.ctbAccelBuckets, ctb_accel),
+    bonusRules,
+  };
+}
+
+const sumParts = (parts) =>
+  parts.Float + parts.CTB + parts["SI%"] + parts.Bonuses + parts.FTD + parts.RegSHO +
+  parts.DTC + parts.Utilization + parts["CTB Trend"];
+
+/** ---------- Dilution risk ---------- */
+// Deducted after guardrails so a short cash runway can pull a name below the
+// minimum its float/borrow profile would otherwise guarantee.
+function dilutionPenalty(payload, profile) {
+  return stepValue(profile.runwayPenalty, payload.runway_months) +
+    stepValue(profile.cashToMarketCapPenalty, payload.cash_mcap_pct);
+}
+
+const applyPenalty = (score, penalty) => Math.max(0, score + penalty);
+
+export function scoreAdditive(payload, profile = DEFAULT_PROFILE) {
+  // Float + CTB + SI% + bonuses + FTDs ($) + RegSHO bonus + days to cover + utilization + CTB trend
+  let score = sumParts(additiveParts(payload, profile));
+
+  // Guardrails, dilution risk & cap
+  score = applyMinimumsAdditive(score, payload, profile);
+  score = applyPenalty(score, dilutionPenalty(payload, profile));
   return clamp99(score);
 }
 
 /** ---------- Multiplicative model ---------- */
-export function scoreMultiplicative({ float_shares, si_pct, ctb, ftd_val, regsho }) {
-  const raw =
-    floatMultiplier(float_shares) *
-    ctbMultiplier(ctb) *
-    siMultiplier(si_pct) *
-    ftdMultiplier(ftd_val) *
-    regshoMultiplier(regsho);
-
-  // Normalize to ~0–100; 45 is empirical “max” anchor
-  let score = (raw / 45) * 100;
-
-  // Guardrails & cap
-  score = applyMinimumsMultiplicative(score, float_shares, ctb, si_pct);
+export function scoreMultiplicative(payload, profile = DEFAULT_PROFILE) {
+  const raw = multiplicativeRaw(payload, profile);
+
+  // Normalize to ~0–100 against the profile's anchor (45 by default)
+  let score = (raw / profile.multiplicativeAnchor) * 100;
+
+  // Guardrails, dilution risk & cap
+  score = applyMinimumsMultiplicative(score, payload, profile);
+  score = applyPenalty(score, dilutionPenalty(payload, profile));
   return clamp99(score);
 }
 
+function multiplicativeRaw(payload, profile) {
+  const { float_shares, si_pct, ctb, ftd_val, regsho, dtc, util_pct, ctb_slope } = payload;
+  return (
+    floatMultiplier(float_shares, profile) *
+    ctbMultiplier(ctb, profile) *
+    siMultiplier(si_pct, profile) *
+    ftdMultiplier(ftd_val, profile) *
+    regshoMultiplier(regsho, profile) *
+    dtcMultiplier(dtc, profile) *
+    utilMultiplier(util_pct, profile) *
+    ctbSlopeMultiplier(ctb_slope, profile)
+  );
+}
+
 /** ---------- Core consensus ---------- */
-const BONUS_RULES = [
-  ({ float_shares, si_pct }) => (float_shares < 15_000_000 && si_pct >= 20) ? 4 : 0,
-  ({ float_shares, ctb })      => (float_shares < 10_000_000 && ctb > 200) ? 6 : 0,
-  ({ float_shares, ctb })      => (float_shares < 5_000_000 && ctb > 100) ? 8 : 0,
-  ({ si_pct })                 => (si_pct >= 30) ? 5 : 0,
-  ({ ctb })                    => (ctb >= 100) ? 4 : 0,
-  ({ ctb, si_pct })            => (ctb >= 50 && si_pct >= 20) ? 3 : 0,
-];
+function scoreFloatComponent(float_shares, profile) {
+  return stepValue(profile.floatPoints, float_shares);
+}
 
-const FTD_RULES = [
-  ({ ftd_val }) => (ftd_val >= 25_000_000 ? 12 : 0),
-  ({ ftd_val }) => (ftd_val >= 10_000_000 ? 9 : 0),
-  ({ ftd_val }) => (ftd_val >= 5_000_000 ? 6 : 0),
-  ({ ftd_val }) => (ftd_val >= 1_000_000 ? 4 : 0),
-];
+function scoreCtbComponent(ctb, profile) {
+  return stepValue(profile.ctbPoints, ctb);
+}
+
+function scoreSiComponent(si_pct, profile) {
+  return stepValue(profile.siPoints, si_pct);
+}
+
+function scoreDtcComponent(dtc, profile) {
+  return stepValue(profile.dtcPoints, dtc);
+}
+
+function scoreUtilComponent(util_pct, profile) {
+  return stepValue(profile.utilPoints, util_pct);
+}
+
+function scoreCtbTrendComponent(ctb_slope, ctb_accel, profile) {
+  return stepValue(profile.ctbSlopePoints, ctb_slope) + stepValue(profile.ctbAccelPoints, ctb_accel);
+}
 
-function scoreFloatComponent(float_shares) {
-  if (float_shares <= 1_000_000) return 35;
-  if (float_shares <= 5_000_000) return 30;
-  if (float_shares <= 10_000_000) return 25;
-  if (float_shares <= 20_000_000) return 20;
-  if (float_shares <= 50_000_000) return 12;
-  return 5;
+function scoreBonuses(payload, profile) {
+  return profile.bonusRules.reduce((total, rule) => total + (ruleMatches(rule, payload) ? rule.points : 0), 0);
 }
 
-function scoreCtbComponent(ctb) {
-  if (ctb >= 500) return 24;
-  if (ctb >= 300) return 23;
-  if (ctb >= 150) return 20;
-  if (ctb >= 100) return 17;
-  if (ctb >= 50)  return 11;
-  if (ctb >= 25)  return 7;
-  return 2;
+function scoreFtd(payload, profile) {
+  return profile.ftdRules.reduce((total, rule) => Math.max(total, ruleMatches(rule, payload) ? rule.points : 0), 0);
 }
 
-function scoreSiComponent(si_pct) {
-  if (si_pct >= 50) return 24;
-  if (si_pct >= 30) return 21;
-  if (si_pct >= 20) return 17;
-  if (si_pct >= 10) return 12;
-  if (si_pct >= 5)  return 7;
-  return 2;
+/**
+ * Borrow utilization estimate: shares sold short as a percentage of shares
+ * short plus shares still available to borrow. Null when either is unknown.
+ * @param {number|string} siShares
+ * @param {number|string} availableShares
+ * @returns {number|null}
+ */
+export function borrowUtilization(siShares, availableShares) {
+  const si = asFloat(siShares);
+  const available = asFloat(availableShares);
+  if (si == null || available == null || si < 0 || available < 0 || si + available <= 0) return null;
+  return (si / (si + available)) * 100;
 }
 
-function scoreBonuses(payload) {
-  return BONUS_RULES.reduce((total, rule) => total + rule(payload), 0);
+// Runway reported for a company that is not burning cash: finite so it survives
+// JSON (score history, the pack cache) and clears every runwayPenalty step
+export const RUNWAY_NOT_BURNING_MONTHS = 999;
+
+/**
+ * Months of cash left at the current burn: estimated cash ÷ quarterly cash
+ * burn × 3, or RUNWAY_NOT_BURNING_MONTHS when quarterly cash flow is ≥ 0.
+ * Null when cash flow is unknown, or cash is unknown for a company burning cash.
+ * @param {number|string} cash
+ * @param {number|string} quarterlyCashFlow
+ * @returns {number|null}
+ */
+export function cashRunwayMonths(cash, quarterlyCashFlow) {
+  const c = asFloat(cash);
+  const flow = asFloat(quarterlyCashFlow);
+  if (flow == null) return null;
+  if (flow >= 0) return RUNWAY_NOT_BURNING_MONTHS;
+  return c == null ? null : (c / -flow) * 3;
 }
 
-function scoreFtd(payload) {
-  return FTD_RULES.reduce((total, rule) => Math.max(total, rule(payload)), 0);
+/**
+ * Cash as a percentage of market cap. Null when either is unknown.
+ * @param {number|string} cash
+ * @param {number|string} marketCap
+ * @returns {number|null}
+ */
+export function cashToMarketCap(cash, marketCap) {
+  const c = asFloat(cash);
+  const mcap = asFloat(marketCap);
+  if (c == null || mcap == null || c < 0 || mcap <= 0) return null;
+  return (c / mcap) * 100;
 }
 
-function derivePayload({ float_shares, os_shares, si_pct, ctb, ftd_val, regsho }) {
+function derivePayload({
+  float_shares, os_shares, si_pct, ctb, ftd_val, regsho, dtc, util_pct, si_shares, avail_shares,
+  runway_months, cash_mcap_pct, cash, market_cap, ctb_slope, ctb_accel,
+}) {
   const payload = {
     float_shares: asFloat(float_shares),
     os_shares: asFloat(os_shares),
@@ -189,32 +476,64 @@ function derivePayload({ float_shares, os_shares, si_pct, ctb, ftd_val, regsho }
     ctb: asFloat(ctb),
     ftd_val: asFloat(ftd_val),
     regsho: asBool(regsho),
+    dtc: asFloat(dtc),
+    util_pct: asFloat(util_pct) ?? borrowUtilization(si_shares, avail_shares),
+    runway_months: asFloat(runway_months),
+    cash_mcap_pct: asFloat(cash_mcap_pct) ?? cashToMarketCap(cash, market_cap),
+    ctb_slope: asFloat(ctb_slope),
+    ctb_accel: asFloat(ctb_accel),
   };
 
   // Fallback: if SI% comes in as fraction (0-1), make it percentage
-  if (payload.si_pct > 0 && payload.si_pct <= 1) {
+  if (payload.si_pct != null && payload.si_pct > 0 && payload.si_pct <= 1) {
     payload.si_pct *= 100;
   }
 
   return payload;
 }
 
-export function scoreBreakdown(input) {
+/**
+ * How many of the scored inputs are known. `ratio` (0–1) is the confidence
+ * figure that accompanies every score.
+ * @param {object} input
+ * @returns {{known: number, total: number, ratio: number, missing: string[]}}
+ */
+export function inputCompleteness(input) {
+  const payload = derivePayload(input ?? {});
+  const missing = SCORED_INPUTS.filter((field) => payload[field] == null);
+  const known = SCORED_INPUTS.length - missing.length;
+  return {
+    known,
+    total: SCORED_INPUTS.length,
+    ratio: Math.round((known / SCORED_INPUTS.length) * 100) / 100,
+    missing: missing.map((field) => INPUT_LABELS[field]),
+  };
+}
+
+const blendScores = (additive, multiplicative) => Math.round(((additive + multiplicative) / 2) * 10) / 10;
+
+export function scoreBreakdown(input, profile = DEFAULT_PROFILE) {
   const payload = derivePayload(input);
-  const floatPts = scoreFloatComponent(payload.float_shares);
-  const ctbPts = scoreCtbComponent(payload.ctb);
-  const siPts = scoreSiComponent(payload.si_pct);
-  const bonuses = scoreBonuses(payload);
-  const ftdPts = scoreFtd(payload);
-  const regPts = payload.regsho ? REGSHO_BONUS : 0;
+  const floatPts = scoreFloatComponent(payload.float_shares, profile);
+  const ctbPts = scoreCtbComponent(payload.ctb, profile);
+  const siPts = scoreSiComponent(payload.si_pct, profile);
+  const bonuses = scoreBonuses(payload, profile);
+  const ftdPts = scoreFtd(payload, profile);
+  const regPts = payload.regsho ? profile.regshoBonus : 0;
+  const dtcPts = scoreDtcComponent(payload.dtc, profile);
+  const utilPts = scoreUtilComponent(payload.util_pct, profile);
+  const trendPts = scoreCtbTrendComponent(payload.ctb_slope, payload.ctb_accel, profile);
+
+  let additiveTotal = floatPts + ctbPts + siPts + bonuses + ftdPts + regPts + dtcPts + utilPts + trendPts;
 
-  let additiveTotal = floatPts + ctbPts + siPts + bonuses + ftdPts + regPts;
+  const dilutionPts = dilutionPenalty(payload, profile);
 
-  additiveTotal = applyMinimumsAdditive(additiveTotal, payload.float_shares, payload.ctb, payload.si_pct);
-  additiveTotal = clamp99(additiveTotal);
+  additiveTotal = applyMinimumsAdditive(additiveTotal, payload, profile);
+  additiveTotal = clamp99(applyPenalty(additiveTotal, dilutionPts));
 
-  const multiplicativeTotal = scoreMultiplicative(payload);
-  const consensus = Math.round(((additiveTotal + multiplicativeTotal) / 2) * 10) / 10;
+  const multiplicativeTotal = scoreMultiplicative(payload, profile);
+  const consensus = blendScores(additiveTotal, multiplicativeTotal);
+  const completeness = inputCompleteness(input);
 
   return {
     Float: floatPts,
@@ -223,21 +542,705 @@ export function scoreBreakdown(input) {
     Bonuses: bonuses,
     FTD: ftdPts,
     RegSHO: regPts,
+    DTC: dtcPts,
+    Utilization: utilPts,
+    "CTB Trend": trendPts,
+    "Dilution Risk": dilutionPts,
     "Additive Total": Number(additiveTotal.toFixed(1)),
     "Multiplicative Total": Number(multiplicativeTotal.toFixed(1)),
     Consensus: consensus,
+    "Inputs Known": completeness.known,
+    Completeness: completeness.ratio,
+    ...formulaScores(payload, profile),
+    Profile: profile.name,
   };
 }
 
-export function scoreConsensus(input) {
+export function scoreConsensus(input, profile = DEFAULT_PROFILE) {
   const payload = derivePayload(input);
-  const additive = scoreAdditive(payload);
-  const multiplicative = scoreMultiplicative(payload);
-  return Math.round(((additive + multiplicative) / 2) * 10) / 10;
+  const additive = scoreAdditive(payload, profile);
+  const multiplicative = scoreMultiplicative(payload, profile);
+  return blendScores(additive, multiplicative);
+}
+
+/** ---------- Explanations ---------- */
+const INPUT_LABELS = {
+  float_shares: "Float",
+  os_shares: "Shares Outstanding",
+  si_pct: "SI%",
+  ctb: "CTB",
+  ftd_val: "FTD $",
+  regsho: "Reg SHO",
+  dtc: "Days to Cover",
+  util_pct: "Utilization %",
+  runway_months: "Cash Runway (mo)",
+  cash_mcap_pct: "Cash / Market Cap %",
+  ctb_slope: "CTB Slope",
+  ctb_accel: "CTB Acceleration",
+};
+const SCORED_INPUTS = [
+  "float_shares", "si_pct", "ctb", "ftd_val", "regsho", "dtc", "util_pct", "runway_months", "cash_mcap_pct", "ctb_slope",
+];
+const OP_LABELS = { "<": "<", "<=": "≤", ">": ">", ">=": "≥", "==": "=" };
+
+function formatThreshold(n) {
+  if (typeof n !== "number") return String(n);
+  const abs = Math.abs(n);
+  if (abs >= 1e9) return `${+(n / 1e9).toFixed(2)}B`;
+  if (abs >= 1e6) return `${+(n / 1e6).toFixed(2)}M`;
+  if (abs >= 1e3) return `${+(n / 1e3).toFixed(2)}K`;
+  return String(n);
+}
+
+/** Human-readable form of a rule's conditions, e.g. "Float < 10M & SI% ≥ 20". */
+export function describeRule(rule) {
+  const conds = Array.isArray(rule?.when) ? rule.when : [];
+  return conds
+    .map(([field, op, thr]) => `${INPUT_LABELS[field] ?? field} ${OP_LABELS[op] ?? op} ${formatThreshold(thr)}`)
+    .join(" & ");
+}
+
+function guardrailHits(score, payload, profile, model) {
+  return profile.guardrails
+    .filter((rule) => ruleMatches(rule, payload))
+    .map((rule) => ({ model, rule: describeRule(rule), min: rule.min, lifted: rule.min > score }));
+}
+
+/**
+ * Itemize the number scoreConsensus returns: additive points per component,
+ * the bonus rules and guardrail minimums that fired, the multiplicative factors,
+ * and which scored inputs were unknown (and therefore contributed nothing).
+ * @param {object} input
+ * @param {object=} profile
+ * @returns {object}
+ */
+export function explainScore(input, profile = DEFAULT_PROFILE) {
+  const payload = derivePayload(input);
+  const parts = additiveParts(payload, profile);
+  const additiveRaw = sumParts(parts);
+  const multRaw = multiplicativeRaw(payload, profile);
+  const multiplicativeBase = (multRaw / profile.multiplicativeAnchor) * 100;
+
+  const additive = scoreAdditive(payload, profile);
+  const multiplicative = scoreMultiplicative(payload, profile);
+  const completeness = inputCompleteness(input);
+
+  return {
+    Float: parts.Float,
+    CTB: parts.CTB,
+    "SI%": parts["SI%"],
+    Bonuses: parts.Bonuses,
+    FTD: parts.FTD,
+    RegSHO: parts.RegSHO,
+    DTC: parts.DTC,
+    Utilization: parts.Utilization,
+    "CTB Trend": parts["CTB Trend"],
+    "Dilution Risk": dilutionPenalty(payload, profile),
+    "Additive Total": Number(additive.toFixed(1)),
+    "Multiplicative Total": Number(multiplicative.toFixed(1)),
+    Consensus: blendScores(additive, multiplicative),
+    "Inputs Known": completeness.known,
+    Completeness: completeness.ratio,
+    Profile: profile.name,
+    bonuses: parts.bonusRules.map((rule) => ({ rule: describeRule(rule), points: rule.points })),
+    guardrails: [
+      ...guardrailHits(additiveRaw, payload, profile, "additive"),
+      ...guardrailHits(multiplicativeBase, payload, profile, "multiplicative"),
+    ],
+    formulas: formulaScores(payload, profile),
+    multipliers: {
+      Float: floatMultiplier(payload.float_shares, profile),
+      CTB: ctbMultiplier(payload.ctb, profile),
+      "SI%": siMultiplier(payload.si_pct, profile),
+      FTD: ftdMultiplier(payload.ftd_val, profile),
+      RegSHO: regshoMultiplier(payload.regsho, profile),
+      DTC: dtcMultiplier(payload.dtc, profile),
+      Utilization: utilMultiplier(payload.util_pct, profile),
+      "CTB Trend": ctbSlopeMultiplier(payload.ctb_slope, profile),
+    },
+    missing: completeness.missing,
+  };
+}
+
+/** ---------- Sensitivity ---------- */
+const consensusOfPayload = (payload, profile) =>
+  blendScores(scoreAdditive(payload, profile), scoreMultiplicative(payload, profile));
+
+// [low, base, high] for one input: the band around the base value widened by
+// any alternates. An unknown base stays as the middle scenario.
+function sensitivityCandidates(field, base, band, alternates) {
+  const values = (alternates || []).map(asFloat).filter((v) => v != null && Number.isFinite(v));
+  if (base != null && Number.isFinite(base)) values.push(base * (1 - band), base * (1 + band));
+  if (!values.length) return null;
+  const low = Math.max(0, Math.min(...values));
+  let high = Math.max(...values);
+  if (field === "util_pct") high = Math.min(100, high);
+  return [...new Set([low, base, high])];
+}
+
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = (x) => Math.round(x * 10) / 10;
+
+// Inputs combined low/base/high against each other (3^6 = 729 scenarios at most);
+// any further banded inputs are only moved one at a time
+const SENSITIVITY_MAX_FIELDS = 6;
+
+/**
+ * Score range when each input moves within its band (profile.sensitivityBands,
+ * overridable per call as opts.bands: ± fraction of its value)
+ * or across alternate values other sources reported. Every low/base/high
+ * combination of the SENSITIVITY_MAX_FIELDS inputs with the widest swings is
+ * scored, plus each remaining input moved on its own; the input whose swing
+ * alone moves the consensus most is named as the one the score is most
+ * sensitive to.
+ * @param {object} input
+ * @param {{profile?: object, bands?: object, alternates?: Record<string, Array<number|string>>}=} opts
+ * @returns {{score: number, min: number, median: number, max: number, mostSensitive: string|null, swings: Record<string, number>}}
+ */
+export function scoreSensitivity(input, opts = {}) {
+  const profile = opts.profile ?? DEFAULT_PROFILE;
+  const bands = { ...profile.sensitivityBands, ...(opts.bands || {}) };
+  const alternates = opts.alternates || {};
+  const base = derivePayload(input ?? {});
+  const score = consensusOfPayload(base, profile);
+
+  const axes = [];
+  for (const [field, band] of Object.entries(bands)) {
+    const candidates = sensitivityCandidates(field, base[field], Number(band) || 0, alternates[field]);
+    if (candidates && candidates.length > 1) axes.push({ field, candidates });
+  }
+
+  // One input at a time: which one moves the score most on its own
+  const swings = {};
+  let mostSensitive = null;
+  let widest = 0;
+  for (const axis of axes) {
+    const label = INPUT_LABELS[axis.field] ?? axis.field;
+    axis.scores = axis.candidates.map((value) => consensusOfPayload({ ...base, [axis.field]: value }, profile));
+    axis.swing = round1(Math.max(...axis.scores) - Math.min(...axis.scores));
+    swings[label] = axis.swing;
+    if (axis.swing > widest) {
+      widest = axis.swing;
+      mostSensitive = label;
+    }
+  }
+
+  // All combinations of the widest-swinging inputs; the rest one at a time
+  const ranked = [...axes].sort((a, b) => b.swing - a.swing);
+  let scenarios = [base];
+  for (const { field, candidates } of ranked.slice(0, SENSITIVITY_MAX_FIELDS)) {
+    scenarios = scenarios.flatMap((payload) => candidates.map((value) => ({ ...payload, [field]: value })));
+  }
+  const scores = [
+    ...scenarios.map((payload) => consensusOfPayload(payload, profile)),
+    ...ranked.slice(SENSITIVITY_MAX_FIELDS).flatMap((axis) => axis.scores),
+  ].sort((a, b) => a - b);
+
+  return {
+    score,
+    min: round1(scores[0]),
+    median: round1(median(scores)),
+    max: round1(scores[scores.length - 1]),
+    mostSensitive,
+    swings,
+  };
+}
+
+/** ---------- Formula models ---------- */
+// A formula model is an expression over the model inputs, e.g.
+//   min(99, 40*log10(1e7/float) + ctb/5 + si_pct)
+// It is parsed into a tree and walked; nothing is ever eval'd. An unknown
+// input makes the result unknown (null) unless wrapped in coalesce(x, fallback);
+// comparisons against an unknown input are false.
+const FORMULA_VARIABLES = {
+  float: "float_shares",
+  float_shares: "float_shares",
+  os: "os_shares",
+  os_shares: "os_shares",
+  si: "si_pct",
+  si_pct: "si_pct",
+  ctb: "ctb",
+  ftd: "ftd_val",
+  ftd_val: "ftd_val",
+  regsho: "regsho",
+  dtc: "dtc",
+  util: "util_pct",
+  util_pct: "util_pct",
+  runway: "runway_months",
+  runway_months: "runway_months",
+  cash_mcap_pct: "cash_mcap_pct",
+  ctb_slope: "ctb_slope",
+  ctb_accel: "ctb_accel",
+};
+
+// name -> [minArgs, maxArgs, fn]; fn is only called when every argument is known
+const FORMULA_FUNCTIONS = {
+  min: [1, Infinity, (...a) => Math.min(...a)],
+  max: [1, Infinity, (...a) => Math.max(...a)],
+  abs: [1, 1, Math.abs],
+  sqrt: [1, 1, Math.sqrt],
+  exp: [1, 1, Math.exp],
+  log: [1, 1, Math.log],
+  ln: [1, 1, Math.log],
+  log10: [1, 1, Math.log10],
+  pow: [2, 2, Math.pow],
+  floor: [1, 1, Math.floor],
+  ceil: [1, 1, Math.ceil],
+  round: [1, 2, (x, digits = 0) => Math.round(x * 10 ** digits) / 10 ** digits],
+  clamp: [3, 3, (x, lo, hi) => Math.min(hi, Math.max(lo, x))],
+  // Evaluated lazily by evalFormula
+  if: [3, 3, null],
+  coalesce: [1, Infinity, null],
+};
+
+const FORMULA_KEYWORDS = { and: "&&", or: "||", not: "!" };
+// Own-property lookup, so names like "constructor" or "__proto__" are unknown, not Object.prototype members
+const lookupOwn = (table, name) => (Object.hasOwn(table, name) ? table[name] : undefined);
+const FORMULA_TOKEN = /(\d[\d_]*(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*)|(<=|>=|==|!=|&&|\|\||[-+*/%^(),<>!])/y;
+
+function formulaError(message, pos) {
+  return new Error(`Formula error at column ${pos + 1}: ${message}`);
+}
+
+function tokenizeFormula(text) {
+  const tokens = [];
+  let pos = 0;
+  for (;;) {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+    if (pos >= text.length) break;
+    FORMULA_TOKEN.lastIndex = pos;
+    const m = FORMULA_TOKEN.exec(text);
+    if (!m) throw formulaError(`unexpected "${text[pos]}"`, pos);
+    const keyword = m[2] != null ? lookupOwn(FORMULA_KEYWORDS, m[2].toLowerCase()) : null;
+    if (m[1] != null) tokens.push({ type: "num", value: Number(m[1].replace(/_/g, "")), pos });
+    else if (keyword) tokens.push({ type: "op", value: keyword, pos });
+    else if (m[2] != null) tokens.push({ type: "ident", value: m[2], pos });
+    else tokens.push({ type: "op", value: m[3], pos });
+    pos = FORMULA_TOKEN.lastIndex;
+  }
+  tokens.push({ type: "end", value: "", pos: text.length });
+  return tokens;
+}
+
+// Recursive descent, lowest precedence first: || && comparison +- */% unary ^
+function parseFormula(text) {
+  const tokens = tokenizeFormula(text);
+  let i = 0;
+  const peek = () => tokens[i];
+  const isOp = (...ops) => peek().type === "op" && ops.includes(peek().value);
+  const expect = (op) => {
+    if (!isOp(op)) throw formulaError(`expected "${op}"`, peek().pos);
+    i++;
+  };
+  const binary = (next, ops) => () => {
+    let left = next();
+    while (isOp(...ops)) {
+      const op = tokens[i++].value;
+      left = { type: "binary", op, left, right: next() };
+    }
+    return left;
+  };
+
+  const primary = () => {
+    const tok = tokens[i++];
+    if (tok.type === "num") return { type: "num", value: tok.value };
+    if (tok.type === "ident") {
+      const name = tok.value.toLowerCase();
+      if (isOp("(")) {
+        const spec = lookupOwn(FORMULA_FUNCTIONS, name);
+        if (!spec) throw formulaError(`unknown function "${tok.value}"`, tok.pos);
+        i++;
+        const args = [];
+        if (!isOp(")")) {
+          args.push(expression());
+          while (isOp(",")) { i++; args.push(expression()); }
+        }
+        expect(")");
+        if (args.length < spec[0] || args.length > spec[1]) throw formulaError(`wrong number of arguments to ${name}()`, tok.pos);
+        return { type: "call", name, args };
+      }
+      if (name === "true" || name === "false") return { type: "num", value: name === "true" ? 1 : 0 };
+      const field = lookupOwn(FORMULA_VARIABLES, name);
+      if (!field) throw formulaError(`unknown input "${tok.value}"`, tok.pos);
+      return { type: "var", field };
+    }
+    if (tok.type === "op" && tok.value === "(") {
+      const inner = expression();
+      expect(")");
+      return inner;
+    }
+    throw formulaError(tok.type === "end" ? "unexpected end of formula" : `unexpected "${tok.value}"`, tok.pos);
+  };
+  const power = () => {
+    const base = primary();
+    if (!isOp("^")) return base;
+    i++;
+    return { type: "binary", op: "^", left: base, right: unary() };
+  };
+  const unary = () => {
+    if (isOp("-", "+", "!")) {
+      const op = tokens[i++].value;
+      return { type: "unary", op, arg: unary() };
+    }
+    return power();
+  };
+  const multiplicative = binary(unary, ["*", "/", "%"]);
+  const additive = binary(multiplicative, ["+", "-"]);
+  const comparison = binary(additive, ["<", "<=", ">", ">=", "==", "!="]);
+  const and = binary(comparison, ["&&"]);
+  const expression = binary(and, ["||"]);
+
+  const tree = expression();
+  if (peek().type !== "end") throw formulaError(`unexpected "${peek().value}"`, peek().pos);
+  return tree;
+}
+
+const known = (x) => x != null && !Number.isNaN(x);
+const truthy = (x) => known(x) && x !== 0;
+
+function evalFormula(node, payload) {
+  switch (node.type) {
+    case "num":
+      return node.value;
+    case "var": {
+      const v = payload[node.field];
+      if (typeof v === "boolean") return v ? 1 : 0;
+      return known(v) ? v : null;
+    }
+    case "unary": {
+      const v = evalFormula(node.arg, payload);
+      if (node.op === "!") return truthy(v) ? 0 : 1;
+      return known(v) ? (node.op === "-" ? -v : v) : null;
+    }
+    case "binary": {
+      if (node.op === "&&") return truthy(evalFormula(node.left, payload)) && truthy(evalFormula(node.right, payload)) ? 1 : 0;
+      if (node.op === "||") return truthy(evalFormula(node.left, payload)) || truthy(evalFormula(node.right, payload)) ? 1 : 0;
+      const a = evalFormula(node.left, payload);
+      const b = evalFormula(node.right, payload);
+      if (node.op in COMPARATORS || node.op === "!=") {
+        if (!known(a) || !known(b)) return 0;
+        return (node.op === "!=" ? a !== b : COMPARATORS[node.op](a, b)) ? 1 : 0;
+      }
+      if (!known(a) || !known(b)) return null;
+      switch (node.op) {
+        case "+": return a + b;
+        case "-": return a - b;
+        case "*": return a * b;
+        case "/": return b === 0 ? null : a / b;
+        case "%": return b === 0 ? null : a % b;
+        case "^": return a ** b;
+      }
+      return null;
+    }
+    case "call": {
+      if (node.name === "if") {
+        return evalFormula(node.args[truthy(evalFormula(node.args[0], payload)) ? 1 : 2], payload);
+      }
+      if (node.name === "coalesce") {
+        for (const arg of node.args) {
+          const v = evalFormula(arg, payload);
+          if (known(v)) return v;
+        }
+        return null;
+      }
+      const args = node.args.map((arg) => evalFormula(arg, payload));
+      if (!args.every(known)) return null;
+      const v = FORMULA_FUNCTIONS[node.name][2](...args);
+      return Number.isNaN(v) ? null : v;
+    }
+  }
+  return null;
+}
+
+const FORMULA_CACHE_MAX = 64; // compiled expressions kept, least recently used dropped first
+const compiledFormulas = new Map(); // expression text -> scoring function, in use order
+
+/**
+ * Compile a formula into a scoring function over model inputs. Throws an Error
+ * naming the column of the first problem. Results that come out unknown or
+ * non-finite (log of 0, division by 0) score as null.
+ * @param {string} expression
+ * @returns {(input: object) => number|null}
+ */
+export function compileFormula(expression) {
+  const text = String(expression ?? "");
+  let compiled = compiledFormulas.get(text);
+  if (compiled) {
+    compiledFormulas.delete(text);
+  } else {
+    if (!text.trim()) throw new Error("Formula is empty");
+    const tree = parseFormula(text);
+    compiled = (payload) => {
+      const v = evalFormula(tree, payload);
+      return Number.isFinite(v) ? round1(v) : null;
+    };
+  }
+  compiledFormulas.set(text, compiled);
+  if (compiledFormulas.size > FORMULA_CACHE_MAX) compiledFormulas.delete(compiledFormulas.keys().next().value);
+  return compiled;
+}
+
+const BUILT_IN_MODEL_NAMES = ["additive", "multiplicative", "consensus"];
+
+function formulaModelsOf(profile) {
+  return (Array.isArray(profile?.formulaModels) ? profile.formulaModels : [])
+    .filter((m) => isPlainObject(m) && typeof m.name === "string" && m.name.trim() && typeof m.expression === "string");
+}
+
+function validateFormulaModels(models) {
+  if (!Array.isArray(models)) throw new Error("formulaModels must be an array of { name, expression }");
+  const reserved = new Set([...BUILT_IN_MODEL_NAMES, ...Object.keys(scoreBreakdown({}))].map((n) => n.toLowerCase()));
+  const seen = new Set();
+  for (const model of models) {
+    const name = isPlainObject(model) && typeof model.name === "string" ? model.name.trim() : "";
+    if (!name) throw new Error("Every formula model needs a name");
+    if (reserved.has(name.toLowerCase())) throw new Error(`Formula model name "${name}" is reserved`);
+    if (seen.has(name.toLowerCase())) throw new Error(`Duplicate formula model "${name}"`);
+    seen.add(name.toLowerCase());
+    try {
+      compileFormula(model.expression);
+    } catch (err) {
+      throw new Error(`${name}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Every model a profile scores with, keyed by name: the built-in additive,
+ * multiplicative and consensus models followed by the profile's formula
+ * models. Each takes derived inputs and returns a score (formula models may
+ * return null).
+ * @param {object=} profile
+ * @returns {Record<string, (payload: object) => number|null>}
+ */
+export function scoreModels(profile = DEFAULT_PROFILE) {
+  const models = {
+    additive: (payload) => scoreAdditive(payload, profile),
+    multiplicative: (payload) => scoreMultiplicative(payload, profile),
+    consensus: (payload) => consensusOfPayload(payload, profile),
+  };
+  for (const { name, expression } of formulaModelsOf(profile)) {
+    try {
+      models[name.trim()] = compileFormula(expression);
+    } catch (err) {
+      console.warn(`⚠️ Formula model "${name}" skipped:`, err.message);
+    }
+  }
+  return models;
+}
+
+// { name: score|null } for the profile's formula models
+function formulaScores(payload, profile) {
+  const out = {};
+  for (const [name, model] of Object.entries(scoreModels(profile))) {
+    if (!BUILT_IN_MODEL_NAMES.includes(name)) out[name] = model(payload);
+  }
+  return out;
+}
+
+/** ---------- Pack adapters ---------- */
+// Pack values arrive as numbers or display strings ("12.4M shares", "$3,400", "18.5%").
+function parseAmount(value) {
+  if (value == null) return NaN;
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  const cleaned = String(value).replace(/shares?/gi, "").replace(/[$,]/g, "").trim();
+  const m = cleaned.match(/^([+-]?\d+(?:\.\d+)?)([KMB])?$/i);
+  if (!m) return NaN;
+  const unit = (m[2] || "").toUpperCase();
+  const mult = unit === "B" ? 1e9 : unit === "M" ? 1e6 : unit === "K" ? 1e3 : 1;
+  return parseFloat(m[1]) * mult;
+}
+
+function parsePercent(value) {
+  if (value == null) return NaN;
+  if (typeof value === "number") return Number.isFinite(value) ? value : NaN;
+  const text = String(value).trim();
+  const m = text.replace(/,/g, "").match(/([+-]?\d+(?:\.\d+)?)/);
+  if (!m) return NaN;
+  const num = parseFloat(m[1]);
+  if (text.includes("%")) return num;
+  return num > 1 ? num : num * 100;
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A timestamp's calendar date in New York, YYYY-MM-DD
+const marketDate = (ms) => new Date(ms).toLocaleDateString("en-CA", { timeZone: "America/New_York" });
+const FEE_KEYS = ["latest", "Latest", "borrowRate", "Borrow Rate", "fee", "Fee", "rate", "Rate"];
+
+// [{t, day, fee}] oldest first from Fintel-style rows ({date, Latest: "120%"} ...).
+function borrowFeeSeries(rows) {
+  if (!Array.isArray(rows)) return [];
+  const series = [];
+  for (const row of rows) {
+    if (!row || typeof row !== "object") continue;
+    const dateText = row.date ?? Object.entries(row).find(([k]) => /date|time/i.test(k))?.[1];
+    const text = String(dateText ?? "").trim();
+    const t = Date.parse(text);
+    const feeKey = FEE_KEYS.find((k) => row[k] != null && String(row[k]).trim() !== "")
+      ?? Object.keys(row).find((k) => /rate|fee/i.test(k) && /%/.test(String(row[k])));
+    const fee = feeKey ? parsePercent(row[feeKey]) : NaN;
+    // A bare date parses as UTC midnight, which is the evening before in New York
+    const day = /^\d{4}-\d{2}-\d{2}$/.test(text) ? text : Number.isFinite(t) ? marketDate(t) : null;
+    if (Number.isFinite(t) && Number.isFinite(fee)) series.push({ t, day, fee });
+  }
+  return series.sort((a, b) => a.t - b.t);
+}
+
+// One close per New York calendar day (the day's last observation), stamped at
+// the day's start so spans are whole days and intraday moves can't inflate a slope
+function dailyCloses(series) {
+  const byDay = new Map();
+  for (const point of series) byDay.set(point.day, point.fee);
+  return [...byDay].map(([day, fee]) => ({ t: Date.parse(`${day}T00:00:00Z`), fee }));
+}
+
+// Fee in effect at time t: the latest observation at or before it. Rows are
+// change events as often as samples, so a step function reads both correctly.
+function feeAt(series, t) {
+  let fee = null;
+  for (const point of series) {
+    if (point.t > t) break;
+    fee = point.fee;
+  }
+  return fee;
+}
+
+/**
+ * Borrow fee slope (percentage points/day) over the last `windowDays` of the
+ * series and its acceleration (change in slope versus the window before, per
+ * day), fitted to one close per day. Values are null when the history is too
+ * short to tell (it has to cover at least two days).
+ * @param {Array<object>} rows shortBorrowRateTable rows
+ * @param {number=} windowDays
+ * @returns {{slope: number|null, acceleration: number|null, observations: number}}
+ *   `observations` counts the days with a fee.
+ */
+export function borrowFeeTrend(rows, windowDays = 3) {
+  const series = dailyCloses(borrowFeeSeries(rows));
+  const result = { slope: null, acceleration: null, observations: series.length };
+  if (series.length < 2) return result;
+
+  const end = series[series.length - 1].t;
+  const start = series[0].t;
+  const span = windowDays * DAY_MS;
+  const latest = feeAt(series, end);
+
+  // Short histories: slope over whatever span there is
+  const windowStart = Math.max(start, end - span);
+  if (end <= windowStart) return result;
+  result.slope = (latest - feeAt(series, windowStart)) / ((end - windowStart) / DAY_MS);
+
+  const prevStart = end - 2 * span;
+  if (prevStart >= start) {
+    const prevSlope = (feeAt(series, end - span) - feeAt(series, prevStart)) / windowDays;
+    result.acceleration = (result.slope - prevSlope) / windowDays;
+  }
+  return result;
+}
+
+/**
+ * Pack fields older than the profile's `maxAgeDays`, in trading days from the
+ * date their data is as of (`pack.provenance[field].asOf`) or, for sources
+ * without one, from when they were observed (`observedAt`), plus derived fields
+ * computed from one of them (`via` names that input). Fields without either are
+ * never stale.
+ * @param {Record<string, {observedAt?: number, asOf?: string, inputs?: string[]}>} provenance
+ * @param {object=} profile
+ * @param {number=} now ms
+ * @returns {Record<string, {ageDays: number, maxAgeDays: number, via?: string}>}
+ *   `ageDays` counts trading days.
+ */
+export function staleFields(provenance, profile = DEFAULT_PROFILE, now = Date.now()) {
+  const stale = {};
+  const today = marketDate(now);
+  for (const [field, maxAgeDays] of Object.entries(profile.maxAgeDays || {})) {
+    const from = provenance?.[field];
+    const since = /^\d{4}-\d{2}-\d{2}$/.test(from?.asOf || "")
+      ? from.asOf
+      : (Number.isFinite(from?.observedAt) ? marketDate(from.observedAt) : null);
+    if (!since || !Number.isFinite(maxAgeDays)) continue;
+    const ageDays = tradingDaysBetween(since, today);
+    if (ageDays > maxAgeDays) stale[field] = { ageDays, maxAgeDays };
+  }
+  for (const [field, from] of Object.entries(provenance || {})) {
+    const via = stale[field] ? null : (from?.inputs || []).find((input) => stale[input]);
+    if (via) stale[field] = { ...stale[via], via };
+  }
+  return stale;
+}
+
+/**
+ * Map a fetch-pack response to model inputs. Inputs that can't be established
+ * stay null (unknown), and so do inputs resting on a stale field (see
+ * staleFields) unless the profile sets `scoreStaleInputs`. Returns null when
+ * neither float nor SI% is known — a score built on borrow/FTD data alone
+ * would be meaningless.
+ * @param {object} pack
+ * @param {object=} profile
+ * @returns {object|null}
+ */
+export function scoreInputsFromPack(pack, profile = DEFAULT_PROFILE) {
+  if (!pack || typeof pack !== "object") return null;
+  const stale = profile.scoreStaleInputs ? {} : staleFields(pack.provenance, profile);
+  const field = (name) => (stale[name] ? null : pack[name]);
+
+  const floatShares = parseAmount(field("float"));
+  let siPct = parsePercent(field("shortInterestPercentFloat"));
+  if (!Number.isFinite(siPct)) {
+    const si = parseAmount(field("shortInterest"));
+    if (Number.isFinite(si) && floatShares > 0) siPct = (si / floatShares) * 100;
+  }
+  const hasFloat = Number.isFinite(floatShares) && floatShares > 0;
+  if (!hasFloat && !Number.isFinite(siPct)) return null;
+
+  const ctb = parsePercent(field("costToBorrow"));
+  const ftdVal = parseAmount(field("failureToDeliver"));
+  const regSho = field("regShoThreshold");
+  const dtc = parseAmount(field("shortInterestRatio"));
+  const siShares = parseAmount(field("shortInterest"));
+  const availableShares = parseAmount(field("shortSharesAvailable"));
+  const feeTrend = borrowFeeTrend(field("shortBorrowRateTable"));
+  const cash = parseAmount(field("estimatedCash"));
+  const cashFlow = parseAmount(field("quarterlyCashFlow"));
+  const runwayMonths = cashRunwayMonths(Number.isFinite(cash) ? cash : null, Number.isFinite(cashFlow) ? cashFlow : null);
+  return {
+    float_shares: hasFloat ? floatShares : null,
+    si_pct: Number.isFinite(siPct) ? siPct : null,
+    ctb: Number.isFinite(ctb) ? ctb : null,
+    ftd_val: Number.isFinite(ftdVal) ? ftdVal : null,
+    regsho: typeof regSho === "boolean" ? regSho : null, // on the threshold list
+    dtc: Number.isFinite(dtc) ? dtc : null,
+    util_pct: Number.isFinite(siShares) && Number.isFinite(availableShares)
+      ? borrowUtilization(siShares, availableShares)
+      : null,
+    runway_months: runwayMonths,
+    cash_mcap_pct: Number.isFinite(cash) ? cashToMarketCap(cash, parseAmount(field("marketCap"))) : null,
+    ctb_slope: feeTrend.slope,
+    ctb_accel: feeTrend.acceleration,
+  };
 }
 
 /** ---------- Batch helpers ---------- */
-export function scoreMany(rows) {
+/**
+ * Percentile (0–100) of `score` within `scores`: the share scoring below it,
+ * counting ties as half.
+ * @param {number} score
+ * @param {number[]} scores
+ * @returns {number|null}
+ */
+export function percentileRank(score, scores) {
+  const values = (scores || []).filter(Number.isFinite);
+  if (!Number.isFinite(score) || !values.length) return null;
+  const below = values.filter((v) => v < score).length;
+  const ties = values.filter((v) => v === score).length;
+  return Math.round(((below + ties / 2) / values.length) * 100);
+}
+
+export function scoreMany(rows, profile = DEFAULT_PROFILE) {
   return rows.map((r) =>
     Object.assign(
       { ticker: r.ticker ?? "" },
@@ -248,12 +1251,22 @@ export function scoreMany(rows) {
         ctb: asFloat(r.ctb),
         ftd_val: asFloat(r.ftd_val),
         regsho: asBool(r.regsho),
-      })
+        dtc: asFloat(r.dtc),
+        util_pct: asFloat(r.util_pct),
+        si_shares: asFloat(r.si_shares),
+        avail_shares: asFloat(r.avail_shares),
+        runway_months: asFloat(r.runway_months),
+        cash_mcap_pct: asFloat(r.cash_mcap_pct),
+        cash: asFloat(r.cash),
+        market_cap: asFloat(r.market_cap),
+        ctb_slope: asFloat(r.ctb_slope),
+        ctb_accel: asFloat(r.ctb_accel),
+      }, profile)
     )
   );
 }
 
-/** ---------- CSV parsing (robust) ---------- */
+/** ---------- CSV parsing (RFC 4180) ---------- */
 const HEADER_ALIASES = {
   ticker: new Set(["ticker", "symbol"]),
   float_shares: new Set(["float_shares", "free float", "float", "free_float"]),
@@ -262,6 +1275,18 @@ const HEADER_ALIASES = {
   ctb: new Set(["ctb", "cost to borrow", "borrow cost", "ctb%", "cost_to_borrow"]),
   ftd_val: new Set(["ftd_val", "ftd $", "ftd value", "ftd", "ftd_usd"]),
   regsho: new Set(["regsho", "reg sho", "threshold", "on_regsho"]),
+  dtc: new Set(["dtc", "days to cover", "days_to_cover", "short ratio", "short_ratio", "short_interest_ratio"]),
+  util_pct: new Set(["util_pct", "utilization", "utilization %", "borrow utilization", "utilization_pct"]),
+  si_shares: new Set(["si_shares", "short interest", "short_interest", "shares short"]),
+  avail_shares: new Set(["avail_shares", "shares available", "short shares available", "available to borrow", "borrow available"]),
+  runway_months: new Set(["runway_months", "cash runway", "runway", "runway (months)", "cash_runway_months"]),
+  cash_mcap_pct: new Set(["cash_mcap_pct", "cash/market cap", "cash / market cap", "cash to market cap", "cash_to_mcap"]),
+  cash: new Set(["cash", "estimated cash", "est. cash", "estimated_cash"]),
+  market_cap: new Set(["market_cap", "market cap", "mkt cap", "marketcap"]),
+  ctb_slope: new Set(["ctb_slope", "ctb slope", "borrow fee slope", "ctb_trend"]),
+  ctb_accel: new Set(["ctb_accel", "ctb acceleration", "borrow fee acceleration"]),
+  date: new Set(["date", "as_of", "asof", "trade_date"]),
+  label: new Set(["label", "squeezed", "squeeze", "outcome", "target"]),
 };
 
 function normalizeHeaders(headers) {
@@ -283,44 +1308,524 @@ function sniffDelimiter(firstLine) {
 }
 
 /**
- * Parse CSV text and return breakdown rows.
+ * Split CSV text into records of raw fields. Handles quoted fields, doubled
+ * quotes, delimiters and line breaks inside quotes, and CRLF/LF/CR endings.
+ * Unquoted fields are trimmed and blank lines skipped. `row` is the 1-based
+ * line a record starts on; error `column` is the 1-based field position.
+ * @param {string} text
+ * @param {{delimiter?: string}=} opts delimiter is sniffed from the first line when omitted
+ * @returns {{records: Array<{row: number, fields: string[]}>, errors: Array<{row: number, column: number, reason: string}>}}
+ */
+export function parseCSV(text, opts = {}) {
+  // Strip BOM if present
+  if (text.charCodeAt(0) === 0xFEFF) text = text.slice(1);
+  const delim = opts.delimiter ?? sniffDelimiter(text.split(/\r\n|\r|\n/, 1)[0]);
+  const records = [];
+  const errors = [];
+
+  let fields = [];
+  let field = "";
+  let quoted = false; // current field started with a quote
+  let inQuotes = false; // currently between the quotes
+  let afterQuote = false; // closing quote seen, expecting a delimiter or line end
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    fields.push(quoted ? field : field.trim());
+    field = "";
+    quoted = inQuotes = afterQuote = false;
+  };
+  const endRecord = () => {
+    endField();
+    if (fields.length > 1 || fields[0] !== "") records.push({ row: recordLine, fields });
+    fields = [];
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') { field += '"'; i++; }
+        else { inQuotes = false; afterQuote = true; }
+      } else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line++;
+        field += ch;
+      }
+      continue;
+    }
+    if (ch === delim) { endField(); continue; }
+    if (ch === "\r" || ch === "\n") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      recordLine = ++line;
+      continue;
+    }
+    if (ch === '"' && !quoted && !field.trim()) {
+      field = "";
+      quoted = inQuotes = true;
+      continue;
+    }
+    if (afterQuote) {
+      if (ch === " " || ch === "\t") continue;
+      errors.push({ row: recordLine, column: fields.length + 1, reason: "unexpected text after closing quote" });
+      afterQuote = false;
+    }
+    field += ch;
+  }
+  if (inQuotes) errors.push({ row: recordLine, column: fields.length + 1, reason: "unterminated quoted field" });
+  if (field || quoted || fields.length) endRecord();
+
+  return { records, errors };
+}
+
+const MISSING_CELL = /^(|-|—|n\/?a|null|none)$/i;
+const TRUE_CELLS = new Set(["1", "true", "t", "yes", "y"]);
+const FALSE_CELLS = new Set(["0", "false", "f", "no", "n"]);
+
+// Numeric cell: tolerates thousands separators, $ and %; blanks/N/A are unknown.
+function numberCell(text) {
+  const s = String(text ?? "").trim();
+  if (MISSING_CELL.test(s)) return { value: null };
+  const n = Number(s.replace(/[,$%\s]/g, ""));
+  return Number.isFinite(n) ? { value: n } : { error: `not a number: "${s}"` };
+}
+
+function boolCell(text) {
+  const s = String(text ?? "").trim().toLowerCase();
+  if (MISSING_CELL.test(s)) return { value: null };
+  if (FALSE_CELLS.has(s)) return { value: false };
+  return TRUE_CELLS.has(s) ? { value: true } : { error: `not a yes/no value: "${s}"` };
+}
+
+const CSV_INPUT_CELLS = {
+  float_shares: numberCell,
+  os_shares: numberCell,
+  si_pct: numberCell,
+  ctb: numberCell,
+  ftd_val: numberCell,
+  regsho: boolCell,
+  dtc: numberCell,
+  util_pct: numberCell,
+  si_shares: numberCell,
+  avail_shares: numberCell,
+  runway_months: numberCell,
+  cash_mcap_pct: numberCell,
+  cash: numberCell,
+  market_cap: numberCell,
+  ctb_slope: numberCell,
+  ctb_accel: numberCell,
+};
+
+/**
+ * Parse CSV text into header + data records; structural problems (bad quoting,
+ * wrong field count) are reported against the header column they occur in.
+ */
+function readCSV(csvText) {
+  const { records, errors: parseErrors } = parseCSV(csvText);
+  const header = records.length ? records[0].fields : [];
+  const columnName = (n) => header[n - 1] ?? `#${n}`;
+  const errors = parseErrors.map((e) => ({ ...e, column: columnName(e.column) }));
+  const badRows = new Set(errors.map((e) => e.row));
+
+  const data = [];
+  for (const record of records.slice(1)) {
+    if (record.fields.length !== header.length) {
+      errors.push({ row: record.row, column: null, reason: `expected ${header.length} fields, found ${record.fields.length}` });
+      continue;
+    }
+    if (!badRows.has(record.row)) data.push(record);
+  }
+  return { header, map: normalizeHeaders(header), records: data, errors };
+}
+
+function columnReader(header, map) {
+  return (fields, canon) => fields[header.indexOf(map[canon] ?? "__missing__")];
+}
+
+// Model inputs for one record; pushes a {row, column, reason} per bad cell and
+// returns null when any input could not be read.
+function payloadFromRecord({ row, fields }, read, map, errors) {
+  const payload = { ticker: read(fields, "ticker") ?? "" };
+  let ok = true;
+  for (const [canon, parse] of Object.entries(CSV_INPUT_CELLS)) {
+    const cell = parse(read(fields, canon));
+    if (cell.error) {
+      errors.push({ row, column: map[canon], reason: cell.error });
+      ok = false;
+    } else {
+      payload[canon] = cell.value;
+    }
+  }
+  return ok ? payload : null;
+}
+
+/**
+ * Parse CSV text and return breakdown rows plus a report of the rows that
+ * could not be scored.
  * @param {string} csvText
- * @param {{debug?: boolean}=} opts
+ * @param {{debug?: boolean, profile?: object}=} opts
+ * @returns {{rows: Array<object>, errors: Array<{row: number, column: string|null, reason: string}>}}
+ */
+export function parseScoreCSV(csvText, opts = {}) {
+  if (!csvText) return { rows: [], errors: [] };
+  const { header, map, records, errors } = readCSV(csvText);
+  const read = columnReader(header, map);
+
+  const rows = [];
+  for (const record of records) {
+    const payload = payloadFromRecord(record, read, map, errors);
+    if (payload) rows.push(Object.assign({ ticker: payload.ticker }, scoreBreakdown(payload, opts.profile ?? DEFAULT_PROFILE)));
+  }
+  errors.sort((a, b) => a.row - b.row);
+  if (opts.debug && errors.length) console.warn("⚠️ parseScoreCSV skipped rows:", errors);
+  return { rows, errors };
+}
+
+/**
+ * Parse CSV text and return breakdown rows; rows that can't be scored are left
+ * out (see parseScoreCSV for the report of which and why).
+ * @param {string} csvText
+ * @param {{debug?: boolean, profile?: object}=} opts
  * @returns {Array<object>}
  */
 export function scoreFromCSV(csvText, opts = {}) {
-  // Strip BOM if present
-  if (csvText.charCodeAt(0) === 0xFEFF) csvText = csvText.slice(1);
-  const lines = csvText.split(/\r\n|\r|\n/);
-  if (!lines.length) return [];
-  const delim = sniffDelimiter(lines[0]);
-
-  // Simple CSV splitter (no embedded quotes support). For robust CSVs use PapaParse.
-  const split = (line) => line.split(delim).map((s) => s.trim());
-
-  const header = split(lines[0]);
-  const map = normalizeHeaders(header);
-  const idx = (canon) => header.indexOf(map[canon] ?? "__missing__");
-
-  const out = [];
-  for (let i = 1; i < lines.length; i++) {
-    const row = lines[i];
-    if (!row.trim()) continue;
-    const cols = split(row);
-    try {
-      const payload = {
-        ticker: cols[idx("ticker")] ?? "",
-        float_shares: asFloat(cols[idx("float_shares")]),
-        os_shares: asFloat(cols[idx("os_shares")]),
-        si_pct: asFloat(cols[idx("si_pct")]),
-        ctb: asFloat(cols[idx("ctb")]),
-        ftd_val: asFloat(cols[idx("ftd_val")]),
-        regsho: asBool(cols[idx("regsho")]),
+  return parseScoreCSV(csvText, opts).rows;
+}
+
+/** ---------- Backtesting ---------- */
+// Rows carry the model inputs plus one or more forward-return columns, in
+// percent (12.5 = +12.5%). A "hit" is a forward return at or above hitThreshold.
+export const DEFAULT_BACKTEST_CUTOFFS = [40, 50, 60, 70, 80];
+export const DEFAULT_HIT_THRESHOLD = 10;
+const RETURN_HEADER = /^(fwd|forward|ret|return)([\s_-]|\d|$)/i;
+
+function parseReturn(value) {
+  if (value == null || typeof value === "boolean") return null;
+  const s = String(value).trim().replace(/[,%+]/g, "");
+  if (!s) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+const ratio = (num, den) => (den > 0 ? num / den : null);
+const mean = (xs) => (xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : null);
+
+function modelScores(row, models) {
+  const payload = derivePayload(row);
+  const scores = {};
+  for (const [name, model] of Object.entries(models)) scores[name] = model(payload);
+  return scores;
+}
+
+// Rank-based deciles (1 = lowest scores). Small samples leave some deciles empty.
+function scoreDeciles(sample, model, hitThreshold) {
+  const sorted = sample.filter((s) => s.scores[model] != null).sort((a, b) => a.scores[model] - b.scores[model]);
+  const groups = Array.from({ length: 10 }, () => []);
+  sorted.forEach((s, i) => groups[Math.floor((i * 10) / sorted.length)].push(s));
+  return groups
+    .map((group, i) => ({ decile: i + 1, group }))
+    .filter(({ group }) => group.length)
+    .map(({ decile, group }) => ({
+      decile,
+      count: group.length,
+      minScore: group[0].scores[model],
+      maxScore: group[group.length - 1].scores[model],
+      avgReturn: mean(group.map((s) => s.ret)),
+      hitRate: ratio(group.filter((s) => s.ret >= hitThreshold).length, group.length),
+    }));
+}
+
+function cutoffStats(sample, model, cutoff, hitThreshold, totalHits) {
+  const picked = sample.filter((s) => s.scores[model] != null && s.scores[model] >= cutoff);
+  const hits = picked.filter((s) => s.ret >= hitThreshold).length;
+  return {
+    cutoff,
+    count: picked.length,
+    hits,
+    precision: ratio(hits, picked.length),
+    recall: ratio(hits, totalHits),
+    avgReturn: mean(picked.map((s) => s.ret)),
+  };
+}
+
+/**
+ * Score dated rows with each model (built-ins plus the profile's formula
+ * models) and measure how the scores line up with forward returns: base hit
+ * rate per horizon, average return and hit rate per score decile, and
+ * precision/recall at each cutoff.
+ * @param {Array<object>} rows model inputs plus the columns in opts.returnColumns
+ * @param {{returnColumns: string[], cutoffs?: number[], hitThreshold?: number, profile?: object}} opts
+ * @returns {object}
+ */
+export function backtestRows(rows, opts = {}) {
+  const profile = opts.profile ?? DEFAULT_PROFILE;
+  const hitThreshold = Number.isFinite(opts.hitThreshold) ? opts.hitThreshold : DEFAULT_HIT_THRESHOLD;
+  const cutoffs = (opts.cutoffs ?? DEFAULT_BACKTEST_CUTOFFS).filter(Number.isFinite).sort((a, b) => a - b);
+  const returnColumns = opts.returnColumns ?? [];
+
+  const models = scoreModels(profile);
+  const scored = rows.map((row) => ({ row, scores: modelScores(row, models) }));
+  const dates = rows.map((r) => String(r.date ?? "").trim()).filter(Boolean).sort();
+
+  const horizons = {};
+  for (const column of returnColumns) {
+    const sample = scored
+      .map(({ row, scores }) => ({ scores, ret: parseReturn(row[column]) }))
+      .filter((s) => s.ret != null);
+    const totalHits = sample.filter((s) => s.ret >= hitThreshold).length;
+    const results = {};
+    for (const model of Object.keys(models)) {
+      results[model] = {
+        deciles: scoreDeciles(sample, model, hitThreshold),
+        cutoffs: cutoffs.map((c) => cutoffStats(sample, model, c, hitThreshold, totalHits)),
       };
-      out.push(Object.assign({ ticker: payload.ticker }, scoreBreakdown(payload)));
-    } catch (e) {
-      if (opts.debug) console.warn(`[row ${i}] parse error:`, e, row);
     }
+    horizons[column] = {
+      count: sample.length,
+      hits: totalHits,
+      baseRate: ratio(totalHits, sample.length),
+      meanReturn: mean(sample.map((s) => s.ret)),
+      models: results,
+    };
   }
-  return out;
+
+  return {
+    profile: profile.name,
+    rows: rows.length,
+    from: dates[0] ?? null,
+    to: dates[dates.length - 1] ?? null,
+    hitThreshold,
+    cutoffs,
+    horizons,
+  };
+}
+
+/**
+ * Backtest a CSV of dated rows. Forward-return columns are picked up by header
+ * (fwd_5d, forward_20d, return_1d, ...) unless opts.returnColumns names them.
+ * Rows that fail to parse are left out and listed in the report's `errors`.
+ * @param {string} csvText
+ * @param {{returnColumns?: string[], cutoffs?: number[], hitThreshold?: number, profile?: object}=} opts
+ * @returns {object}
+ */
+export function backtestFromCSV(csvText, opts = {}) {
+  if (!csvText) throw new Error("Backtest CSV is empty");
+  const { header, map, records, errors } = readCSV(csvText);
+  const read = columnReader(header, map);
+  const returnColumns = opts.returnColumns ?? header.filter((h) => RETURN_HEADER.test(h));
+  const missing = returnColumns.filter((c) => !header.includes(c));
+  if (!returnColumns.length || missing.length) {
+    throw new Error(missing.length
+      ? `Return column(s) not found: ${missing.join(", ")}`
+      : "No forward-return columns found (expected headers like fwd_5d or return_20d)");
+  }
+
+  const rows = [];
+  for (const record of records) {
+    const row = payloadFromRecord(record, read, map, errors);
+    if (!row) continue;
+    row.date = read(record.fields, "date") ?? "";
+    for (const column of returnColumns) {
+      const text = record.fields[header.indexOf(column)];
+      if (parseReturn(text) == null && !MISSING_CELL.test(String(text ?? "").trim())) {
+        errors.push({ row: record.row, column, reason: `not a return: "${text}"` });
+      }
+      row[column] = text;
+    }
+    rows.push(row);
+  }
+  errors.sort((a, b) => a.row - b.row);
+  return { ...backtestRows(rows, { ...opts, returnColumns }), errors };
+}
+
+/** ---------- Calibration ---------- */
+// Logistic regression over the additive model's component points: each
+// component gets a non-negative weight, and the fitted weights rescale that
+// component's tables (keeping the profile's overall point range).
+const CALIBRATION_COMPONENTS = {
+  Float: { additive: ["floatBuckets"], breakdown: ["floatPoints"] },
+  CTB: { additive: ["ctbBuckets"], breakdown: ["ctbPoints"] },
+  "SI%": { additive: ["siBuckets"], breakdown: ["siPoints"] },
+  Bonuses: { additive: ["additiveBonusRules"], breakdown: ["bonusRules"] },
+  FTD: { additive: ["ftdBuckets"], breakdown: ["ftdRules"] },
+  RegSHO: { additive: ["regshoBonus"], breakdown: [] },
+  DTC: { additive: ["dtcBuckets"], breakdown: ["dtcPoints"] },
+  Utilization: { additive: ["utilBuckets"], breakdown: ["utilPoints"] },
+  "CTB Trend": { additive: ["ctbSlopeBuckets", "ctbAccelBuckets"], breakdown: ["ctbSlopePoints", "ctbAccelPoints"] },
+  "Dilution Risk": { additive: ["runwayPenalty", "cashToMarketCapPenalty"], breakdown: [] },
+};
+const POSITIVE_LABEL = /^(1|true|t|yes|y|squeeze|squeezed)$/i;
+const NEGATIVE_LABEL = /^(0|false|f|no|n|none|no squeeze|not squeezed|didn'?t squeeze|did not squeeze)$/i;
+const HOLDOUT_EVERY = 5; // every 5th row is held out for the comparison
+
+function calibrationFeatures(payload, profile) {
+  const parts = additiveParts(payload, profile);
+  return Object.keys(CALIBRATION_COMPONENTS).map((name) =>
+    name === "Dilution Risk" ? dilutionPenalty(payload, profile) : parts[name]
+  );
+}
+
+const sigmoid = (z) => 1 / (1 + Math.exp(-z));
+
+// Batch gradient descent on standardized features with a small L2 penalty;
+// weights are projected onto >= 0 so every component keeps its direction.
+function fitLogistic(X, y, { iterations = 2000, rate = 0.5, l2 = 1e-3 } = {}) {
+  const k = X[0].length;
+  const scale = Array.from({ length: k }, (_, j) => Math.max(...X.map((row) => Math.abs(row[j]))) || 1);
+  const Z = X.map((row) => row.map((v, j) => v / scale[j]));
+  let w = new Array(k).fill(0);
+  let b = 0;
+  for (let it = 0; it < iterations; it++) {
+    const gw = new Array(k).fill(0);
+    let gb = 0;
+    Z.forEach((row, i) => {
+      const err = sigmoid(b + row.reduce((acc, v, j) => acc + v * w[j], 0)) - y[i];
+      gb += err;
+      row.forEach((v, j) => { gw[j] += err * v; });
+    });
+    let change = 0;
+    w = w.map((wj, j) => {
+      const next = Math.max(0, wj - rate * (gw[j] / Z.length + l2 * wj));
+      change = Math.max(change, Math.abs(next - wj));
+      return next;
+    });
+    b -= rate * (gb / Z.length);
+    if (change < 1e-7) break;
+  }
+  return { weights: w.map((wj, j) => wj / scale[j]), intercept: b };
+}
+
+// Largest absolute points a component can contribute under a profile
+function componentMax(profile, keys) {
+  return keys.reduce((total, key) => {
+    const table = profile[key];
+    if (typeof table === "number") return total + Math.abs(table);
+    if (Array.isArray(table)) return total + table.reduce((acc, rule) => acc + Math.abs(rule.points ?? 0), 0);
+    const values = [...(table?.steps ?? []).map(([, v]) => v), table?.otherwise ?? 0];
+    return total + Math.max(...values.map(Math.abs));
+  }, 0);
+}
+
+function scaleTable(table, factor) {
+  if (typeof table === "number") return round1(table * factor);
+  if (Array.isArray(table)) return table.map((rule) => ({ ...rule, points: round1(rule.points * factor) }));
+  return {
+    ...table,
+    steps: table.steps.map(([thr, v]) => [thr, round1(v * factor)]),
+    otherwise: round1((table.otherwise ?? 0) * factor),
+  };
+}
+
+// Area under the ROC curve: chance a random positive outscores a random negative
+function rocAuc(scores, labels) {
+  const pos = scores.filter((_, i) => labels[i] === 1);
+  const neg = scores.filter((_, i) => labels[i] === 0);
+  if (!pos.length || !neg.length) return null;
+  let wins = 0;
+  for (const p of pos) for (const n of neg) wins += p > n ? 1 : p === n ? 0.5 : 0;
+  return wins / (pos.length * neg.length);
+}
+
+// Cutoff (predict "squeeze" at or above) that maximizes accuracy
+function bestThreshold(scores, labels) {
+  let best = { threshold: Infinity, accuracy: ratio(labels.filter((l) => l === 0).length, labels.length) ?? 0 };
+  for (const t of [...new Set(scores)]) {
+    const acc = scores.reduce((n, s, i) => n + ((s >= t ? 1 : 0) === labels[i] ? 1 : 0), 0) / scores.length;
+    if (acc > best.accuracy) best = { threshold: t, accuracy: acc };
+  }
+  return best;
+}
+
+function evaluateModel(model, train, test) {
+  const trainScores = train.map((r) => model(r.payload));
+  const testScores = test.map((r) => model(r.payload));
+  const { threshold } = bestThreshold(trainScores, train.map((r) => r.label));
+  const labels = test.map((r) => r.label);
+  return {
+    auc: rocAuc(testScores, labels),
+    threshold: Number.isFinite(threshold) ? threshold : null,
+    accuracy: ratio(testScores.reduce((n, s, i) => n + ((s >= threshold ? 1 : 0) === labels[i] ? 1 : 0), 0), labels.length),
+  };
+}
+
+function fitProfile(rows, base) {
+  const { weights } = fitLogistic(rows.map((r) => r.features), rows.map((r) => r.label));
+  const names = Object.keys(CALIBRATION_COMPONENTS);
+  // Keep the total point range: sum(weight * max) == sum(max)
+  const maxima = names.map((name) => componentMax(base, CALIBRATION_COMPONENTS[name].additive));
+  const weighted = names.reduce((acc, _, j) => acc + weights[j] * maxima[j], 0);
+  if (!(weighted > 0)) throw new Error("No component separates the labels; nothing to fit");
+  const factor = maxima.reduce((a, b) => a + b, 0) / weighted;
+
+  const overrides = {};
+  const componentWeights = {};
+  names.forEach((name, j) => {
+    const w = weights[j] * factor;
+    componentWeights[name] = Math.round(w * 1000) / 1000;
+    const { additive, breakdown } = CALIBRATION_COMPONENTS[name];
+    for (const key of [...additive, ...breakdown]) overrides[key] = scaleTable(base[key], w);
+  });
+  return { overrides, weights: componentWeights };
+}
+
+/**
+ * Fit the additive component weights to a CSV of past setups labeled
+ * squeezed / didn't squeeze (same headers as scoreFromCSV plus a `label`
+ * column). Every 5th row is held out to compare the fitted profile's AUC and
+ * accuracy against the current additive, multiplicative and consensus models;
+ * the returned `overrides` are then fitted on all rows, ready for saveProfile.
+ * @param {string} csvText
+ * @param {{profile?: object}=} opts base profile whose tables are reweighted
+ * @returns {object}
+ */
+export function calibrateFromCSV(csvText, opts = {}) {
+  if (!csvText) throw new Error("Calibration CSV is empty");
+  const base = opts.profile ?? DEFAULT_PROFILE;
+  const { header, map, records, errors } = readCSV(csvText);
+  if (!map.label) throw new Error("No label column found (expected a header like label or squeezed)");
+  const read = columnReader(header, map);
+
+  const rows = [];
+  for (const record of records) {
+    const payload = payloadFromRecord(record, read, map, errors);
+    if (!payload) continue;
+    const labelText = String(read(record.fields, "label") ?? "").trim();
+    const label = POSITIVE_LABEL.test(labelText) ? 1 : NEGATIVE_LABEL.test(labelText) ? 0 : null;
+    if (label == null) {
+      errors.push({ row: record.row, column: map.label, reason: `not a squeezed/didn't-squeeze label: "${labelText}"` });
+      continue;
+    }
+    const derived = derivePayload(payload);
+    rows.push({ payload: derived, label, features: calibrationFeatures(derived, base) });
+  }
+  errors.sort((a, b) => a.row - b.row);
+  const positives = rows.filter((r) => r.label === 1).length;
+  if (!positives || positives === rows.length) {
+    throw new Error("Calibration needs both squeezed and didn't-squeeze rows");
+  }
+
+  const train = rows.filter((_, i) => i % HOLDOUT_EVERY !== HOLDOUT_EVERY - 1);
+  const test = rows.filter((_, i) => i % HOLDOUT_EVERY === HOLDOUT_EVERY - 1);
+  const trial = fitProfile(train, base);
+  const trialProfile = resolveProfile({ ...base, ...trial.overrides });
+  const current = scoreModels(base);
+  const holdout = test.length ? test : train;
+  const comparison = {
+    fitted: evaluateModel((payload) => scoreAdditive(payload, trialProfile), train, holdout),
+    additive: evaluateModel(current.additive, train, holdout),
+    multiplicative: evaluateModel(current.multiplicative, train, holdout),
+    consensus: evaluateModel(current.consensus, train, holdout),
+  };
+
+  const fitted = fitProfile(rows, base);
+  return {
+    rows: rows.length,
+    positives,
+    holdoutRows: test.length,
+    weights: fitted.weights,
+    comparison,
+    overrides: fitted.overrides,
+    errors,
+  };
 }
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { indexShortInterest, loadShortInterestIndex, lookupShortInterest, parseShortInterestFile, settlementDateCandidates } from '../finra_short_interest.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('parseShortInterestFile reads a saved pipe-delimited FINRA file', () => {
+  const file = parseShortInterestFile(fixture('shrt20240112.csv'));
+  assert.equal(file.settlementDate, '2024-01-12'); // the most common row date, not the late revision's
+  assert.equal(file.rows.length, 5);
+  assert.equal(file.skipped, 1); // no current position
+  assert.deepEqual(file.rows.find(row => row.symbol === 'GME'), {
+    symbol: 'GME',
+    name: 'GameStop Corporation Common Stock',
+    market: 'NYSE',
+    current: 62851377,
+    previous: 63220101,
+    averageDailyVolume: 3412567,
+    daysToCover: 18.42,
+    settlementDate: '2024-01-12'
+  });
+});
+
+test('parseShortInterestFile leaves blank prior positions unknown', () => {
+  const abcd = parseShortInterestFile(fixture('shrt20240112.csv')).rows.find(row => row.symbol === 'ABCD');
+  assert.equal(abcd.previous, null);
+  assert.equal(abcd.daysToCover, 4.94);
+});
+
+test('parseShortInterestFile accepts the comma-delimited API column names and M/D/YYYY dates', () => {
+  const file = parseShortInterestFile(fixture('shrt_api_20240112.csv'));
+  assert.equal(file.settlementDate, '2024-01-12');
+  assert.deepEqual(file.rows.map(row => [row.symbol, row.current, row.daysToCover]), [['GME', 62851377, 18.42], ['AAPL', 120547306, 2.3]]);
+});
+
+test('parseShortInterestFile skips every row when the header lacks the needed columns', () => {
+  const file = parseShortInterestFile('foo|bar\n1|2\n3|4\n');
+  assert.deepEqual(file.rows, []);
+  assert.equal(file.skipped, 2);
+});
+
+test('indexShortInterest keeps current, previous, average volume and days to cover', () => {
+  const index = indexShortInterest(parseShortInterestFile(fixture('shrt20240112.csv')).rows);
+  assert.deepEqual(index.AAPL, [120547306, 118311442, 52345678, 2.3]);
+});
+
+test('settlementDateCandidates moves weekend and holiday anchors to the prior trading day', () => {
+  // 2024-03-15 is a Friday, 2024-03-31 a Sunday (and 2024-03-29 Good Friday)
+  const dates = settlementDateCandidates(new Date('2024-04-02T12:00:00Z'));
+  assert.deepEqual(dates.slice(0, 4), ['2024-03-28', '2024-03-15', '2024-02-29', '2024-02-15']);
+});
+
+test('lookupShortInterest reads the stored file and keeps it through a failed check', async (t) => {
+  const store = {};
+  globalThis.chrome = { storage: { local: {
+    get: async (key) => (key in store ? { [key]: store[key] } : {}),
+    set: async (items) => { Object.assign(store, items); }
+  } } };
+  t.after(() => { delete globalThis.chrome; });
+  let fail = true;
+  let requests = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    requests++;
+    if (fail) throw new TypeError('Failed to fetch');
+    return new Response(fixture('shrt20240112.csv'));
+  });
+  const hour = 60 * 60 * 1000;
+  const start = Date.now();
+  let now = start;
+  t.mock.method(Date, 'now', () => now);
+
+  await assert.rejects(lookupShortInterest('GME'), /not downloaded yet/);
+  await loadShortInterestIndex(); // the refresh the lookup started
+  assert.equal(store.finra_si_index.checkedAt, 0);
+  assert.equal(store.finra_si_index.failedAt, start);
+
+  fail = false;
+  const tried = requests;
+  await loadShortInterestIndex();
+  assert.equal(requests, tried); // still backing off
+
+  now = start + hour;
+  await loadShortInterestIndex();
+  assert.equal(store.finra_si_index.checkedAt, now);
+  assert.equal((await lookupShortInterest('gme')).shares, 62851377);
+
+  fail = true;
+  now = start + 14 * hour;
+  await loadShortInterestIndex();
+  assert.equal(store.finra_si_index.checkedAt, start + hour);
+  assert.equal(store.finra_si_index.failedAt, now);
+  assert.equal((await lookupShortInterest('GME')).settlementDate, '2024-01-12');
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { indexShortVolume, parseShortVolumeFile, shortVolumeDateCandidates, shortVolumeHistory } from '../finra_short_volume.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+const day = (name) => {
+  const file = parseShortVolumeFile(fixture(name));
+  return { date: file.date, index: indexShortVolume(file.rows) };
+};
+
+test('parseShortVolumeFile reads a saved CNMSshvol file', () => {
+  const file = parseShortVolumeFile(fixture('CNMSshvol20240102.txt'));
+  assert.equal(file.date, '2024-01-02');
+  assert.equal(file.rows.length, 4);
+  assert.equal(file.skipped, 2); // non-numeric short volume, missing symbol
+  assert.deepEqual(file.rows[1], {
+    date: '2024-01-02',
+    symbol: 'GME',
+    shortVolume: 1203345,
+    shortExemptVolume: 1500,
+    totalVolume: 2504210,
+    market: 'B,Q,N'
+  });
+});
+
+test('parseShortVolumeFile leaves a blank short-exempt volume unknown', () => {
+  const row = parseShortVolumeFile(fixture('CNMSshvol20240102.txt')).rows.find(r => r.symbol === 'NOEX');
+  assert.equal(row.shortExemptVolume, null);
+});
+
+test('shortVolumeHistory lists a symbol newest first with its short ratio', () => {
+  const days = [day('CNMSshvol20240103.txt'), day('CNMSshvol20240102.txt')];
+  assert.deepEqual(shortVolumeHistory(days, 'gme'), [
+    { date: '2024-01-03', shortVolume: 900000, shortExemptVolume: 0, totalVolume: 3000000, ratio: 30 },
+    { date: '2024-01-02', shortVolume: 1203345, shortExemptVolume: 1500, totalVolume: 2504210, ratio: 48.05 }
+  ]);
+  assert.equal(shortVolumeHistory(days, 'ABCD').length, 1);
+  assert.deepEqual(shortVolumeHistory(days, 'NONE'), []);
+});
+
+test('shortVolumeDateCandidates skips weekends and market holidays', () => {
+  const dates = shortVolumeDateCandidates(new Date('2024-01-03T12:00:00Z'));
+  assert.deepEqual(dates.slice(0, 4), ['2024-01-03', '2024-01-02', '2023-12-29', '2023-12-28']);
+  assert.ok(!dates.includes('2023-12-25'));
+});
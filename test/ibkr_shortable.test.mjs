@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { IBKR_SHORTABLE_URL_KEY, lookupShortable, parseShortableFile } from '../ibkr_shortable.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+test('parseShortableFile reads the #BOF stamp and the rows of a saved usa.txt', () => {
+  const file = parseShortableFile(fixture('usa.txt'));
+  assert.equal(file.asOf, '2024-01-02 09:45:02');
+  assert.deepEqual(Object.keys(file.symbols).sort(), ['AAPL', 'BRK.B', 'GME', 'MULN', 'XTRA']);
+  assert.deepEqual(file.symbols.GME, {
+    currency: 'USD',
+    name: 'GAMESTOP CORP-CLASS A',
+    conid: '36285627',
+    isin: 'US36467W1099',
+    rebateRate: 2.3418,
+    feeRate: 2.9819,
+    available: 1500000,
+    availableAtLeast: false
+  });
+});
+
+test('parseShortableFile maps the header by name despite its trailing "|"', () => {
+  const file = parseShortableFile(fixture('usa.txt'));
+  // FIGI is the last named column; the empty cell after the trailing "|" must not shift anything
+  assert.equal(file.symbols.AAPL.isin, 'US0378331005');
+  assert.equal(file.symbols.AAPL.feeRate, 0.25);
+});
+
+test('parseShortableFile keeps ">10000000" as a lower bound', () => {
+  const { symbols } = parseShortableFile(fixture('usa.txt'));
+  assert.equal(symbols.AAPL.available, 10000000);
+  assert.equal(symbols.AAPL.availableAtLeast, true);
+  assert.equal(symbols['BRK.B'].availableAtLeast, true);
+});
+
+test('parseShortableFile treats "-" availability and NA rates as unknown', () => {
+  const { symbols } = parseShortableFile(fixture('usa.txt'));
+  assert.equal(symbols.MULN.available, null);
+  assert.equal(symbols.MULN.availableAtLeast, false);
+  assert.equal(symbols.MULN.rebateRate, -187.6442);
+  assert.equal(symbols.XTRA.feeRate, null);
+  assert.equal(symbols.XTRA.rebateRate, null);
+  assert.equal(symbols.XTRA.available, 0);
+});
+
+test('parseShortableFile skips short rows and rows before the header', () => {
+  assert.equal(parseShortableFile(fixture('usa.txt')).skipped, 1);
+  const headless = parseShortableFile('AAPL|USD|APPLE INC|1|US1|5|0.25|100|F|\n');
+  assert.deepEqual(headless.symbols, {});
+  assert.equal(headless.skipped, 1);
+});
+
+test('lookupShortable reads the configured mirror and keeps the last copy when a refresh fails', async (t) => {
+  const store = {};
+  globalThis.chrome = { storage: { local: { get: async (key) => (key in store ? { [key]: store[key] } : {}) } } };
+  t.after(() => { delete globalThis.chrome; });
+  let status = 200;
+  let requests = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    requests++;
+    return status === 200 ? new Response(fixture('usa.txt')) : new Response('', { status });
+  });
+
+  assert.equal(await lookupShortable('GME'), null); // no mirror configured
+  assert.equal(requests, 0);
+
+  store[IBKR_SHORTABLE_URL_KEY] = 'https://mirror.example/usa.txt';
+  const row = await lookupShortable('brk-b');
+  assert.equal(row.name, 'BERKSHIRE HATHAWAY INC-CL B');
+  assert.equal(row.asOf, '2024-01-02 09:45:02');
+  assert.equal(await lookupShortable('NOPE'), null);
+  assert.equal(requests, 1); // the copy is reused within IBKR_SHORTABLE_REFRESH_MS
+
+  status = 503;
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 16 * 60 * 1000);
+  assert.equal((await lookupShortable('GME')).available, 1500000);
+  assert.equal(requests, 2);
+});
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ftdSummary, indexFtdRows, loadFtdIndexes, lookupFtd, parseFtdFile, unzipFirstFile } from '../sec_ftd.js';
+
+const fixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+const arrayBuffer = (buf) => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength);
+
+test('parseFtdFile skips the header and trailer and counts malformed lines', () => {
+  const { rows, skipped } = parseFtdFile(fixture('cnsfails202401a.txt').toString('latin1'));
+  assert.equal(rows.length, 6);
+  assert.equal(skipped, 1); // the row without a symbol
+  assert.ok(rows.every(row => /^\d{4}-\d{2}-\d{2}$/.test(row.date)));
+  assert.deepEqual(rows[0], {
+    date: '2024-01-02',
+    cusip: '000360206',
+    symbol: 'AAON',
+    quantity: 1050,
+    description: 'AAON INC',
+    price: 85.72
+  });
+});
+
+test('parseFtdFile keeps rows with a blank or "." price, with price null', () => {
+  const { rows } = parseFtdFile(fixture('cnsfails202401a.txt').toString('latin1'));
+  const gme = rows.filter(row => row.symbol === 'GME');
+  assert.deepEqual(gme.map(row => row.price), [17.53, null, 16.2, null]);
+  assert.equal(rows.find(row => row.symbol === 'ZZZW').price, null);
+});
+
+test('indexFtdRows and ftdSummary value the latest date with the nearest known price', () => {
+  const index = indexFtdRows(parseFtdFile(fixture('cnsfails202401a.txt').toString('latin1')).rows);
+  assert.deepEqual(index.GME.map(entry => entry[0]), ['2024-01-05', '2024-01-04', '2024-01-03', '2024-01-02']);
+
+  const summary = ftdSummary([index], 'gme');
+  assert.equal(summary.date, '2024-01-05');
+  assert.equal(summary.value, 15000 * 16.2); // 01-05 has no price; 01-04 is the nearest
+  assert.deepEqual(summary.table[0], { date: '2024-01-05', quantity: '15,000', price: '', value: '$243,000' });
+  assert.deepEqual(summary.history.map(day => day.quantity), [15000, 210000, 98000, 125000]);
+  assert.equal(ftdSummary([index], 'ZZZW').value, null); // no price on any date
+  assert.equal(ftdSummary([index], 'NOPE'), null);
+});
+
+test('unzipFirstFile reads deflated and stored entries', async () => {
+  const text = fixture('cnsfails202401a.txt').toString('latin1');
+  for (const name of ['cnsfails202401a.zip', 'cnsfails202401a_stored.zip']) {
+    const bytes = await unzipFirstFile(arrayBuffer(fixture(name)));
+    assert.equal(new TextDecoder('latin1').decode(bytes), text, name);
+  }
+});
+
+test('unzipFirstFile rejects data that is not a zip archive', async () => {
+  await assert.rejects(unzipFirstFile(arrayBuffer(fixture('cnsfails202401a.txt'))), /Not a zip archive/);
+});
+
+test('unzipFirstFile rejects a truncated archive', async () => {
+  for (const name of ['cnsfails202401a.zip', 'cnsfails202401a_stored.zip']) {
+    const zip = fixture(name);
+    await assert.rejects(unzipFirstFile(arrayBuffer(zip.subarray(0, zip.length >> 1))), /Not a zip archive/, name);
+
+    // Entry data cut short in front of an intact central directory
+    const eocd = zip.length - 22;
+    const central = zip.readUInt32LE(eocd + 16);
+    const cut = Buffer.concat([zip.subarray(0, 64), zip.subarray(central)]);
+    cut.writeUInt32LE(64, cut.length - 22 + 16);
+    await assert.rejects(unzipFirstFile(arrayBuffer(cut)), /Truncated zip archive/, name);
+  }
+});
+
+test('lookupFtd reads the stored files and retries a failed refresh after a backoff', async (t) => {
+  const store = {};
+  globalThis.chrome = { storage: { local: {
+    get: async (keys) => Object.fromEntries([keys].flat().filter(key => key in store).map(key => [key, store[key]])),
+    set: async (items) => { Object.assign(store, items); },
+    remove: async (keys) => { [keys].flat().forEach(key => delete store[key]); }
+  } } };
+  t.after(() => { delete globalThis.chrome; });
+  let status = 503;
+  let requests = 0;
+  t.mock.method(globalThis, 'fetch', async () => {
+    requests++;
+    return status === 200 ? new Response(fixture('cnsfails202401a.zip')) : new Response('', { status });
+  });
+
+  await assert.rejects(lookupFtd('GME'), /not downloaded yet/);
+  await loadFtdIndexes(); // the refresh the lookup started
+  assert.equal(store.sec_ftd_meta.checkedAt, 0);
+  assert.ok(store.sec_ftd_meta.failedAt);
+
+  status = 200;
+  const tried = requests;
+  await loadFtdIndexes();
+  assert.equal(requests, tried); // still backing off
+
+  const now = Date.now();
+  t.mock.method(Date, 'now', () => now + 31 * 60 * 1000);
+  await loadFtdIndexes();
+  assert.equal(store.sec_ftd_meta.checkedAt, now + 31 * 60 * 1000);
+  assert.equal(store.sec_ftd_meta.failedAt, null);
+  assert.equal((await lookupFtd('GME')).date, '2024-01-05');
+});
@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_PROFILE, borrowFeeTrend, parseScoreCSV, resolveProfile, saveProfile, scoreConsensus, scoreFromCSV, scoreSensitivity } from '../squeezeScore.js';
+
+const input = { float_shares: 4_000_000, si_pct: 35, ctb: 120, ftd_val: 2_000_000 };
+
+test('resolveProfile keeps well-formed overrides and merges step tables onto the default', () => {
+  const profile = resolveProfile({ name: 'Tight', ctbPoints: { steps: [[100, 30]] }, multiplicativeAnchor: 60 });
+  assert.equal(profile.name, 'Tight');
+  assert.deepEqual(profile.ctbPoints, { ...DEFAULT_PROFILE.ctbPoints, steps: [[100, 30]] });
+  assert.equal(profile.multiplicativeAnchor, 60);
+});
+
+test('resolveProfile falls back to the default for malformed entries', () => {
+  const profile = resolveProfile({
+    ctbPoints: { steps: 'x' },
+    siPoints: { steps: [[20, 'lots']] },
+    floatPoints: { otherwise: null },
+    dtcPoints: { op: 'constructor' },
+    guardrails: [{ when: [['ctb', '>', 100]], min: '90' }],
+    bonusRules: [{ when: [['ctb', '~', 100]], points: 4 }],
+    multiplicativeAnchor: 0,
+    sensitivityBands: { ctb: 'wide' },
+    scoreStaleInputs: 'yes'
+  });
+  for (const key of ['ctbPoints', 'siPoints', 'floatPoints', 'dtcPoints', 'guardrails', 'bonusRules', 'multiplicativeAnchor', 'sensitivityBands', 'scoreStaleInputs']) {
+    assert.deepEqual(profile[key], DEFAULT_PROFILE[key], key);
+  }
+  assert.equal(scoreConsensus(input, profile), scoreConsensus(input));
+});
+
+test('saveProfile rejects malformed entries with the key and what is wrong', async () => {
+  await assert.rejects(saveProfile('Bad', { ctbPoints: { steps: 'x' } }), /^Error: ctbPoints: steps must be \[threshold, value\] number pairs$/);
+  await assert.rejects(saveProfile('Bad', { guardrails: [{ when: [['ctb', '>', 100]] }] }), /guardrails: rules need a numeric "min"/);
+  await assert.rejects(saveProfile('Bad', { multiplicativeAnchor: 0 }), /multiplicativeAnchor: must be greater than 0/);
+});
+
+test('scoreFromCSV returns the scored rows and parseScoreCSV adds the skipped-row report', () => {
+  const csv = 'ticker,float,short %,ctb\nAAA,"4,000,000",35,120\nBBB,lots,20,50\n';
+  const rows = scoreFromCSV(csv);
+  assert.ok(Array.isArray(rows));
+  assert.deepEqual(rows.map(row => row.ticker), ['AAA']);
+  const report = parseScoreCSV(csv);
+  assert.deepEqual(report.rows, rows);
+  assert.deepEqual(report.errors.map(error => error.row), [3]);
+});
+
+test('borrowFeeTrend ignores intraday moves until the history spans two days', () => {
+  const sameDay = [
+    { date: '2026-10-16T14:00:00Z', Latest: '100%' },
+    { date: '2026-10-16T15:00:00Z', Latest: '105%' }
+  ];
+  assert.deepEqual(borrowFeeTrend(sameDay), { slope: null, acceleration: null, observations: 1 });
+});
+
+test('borrowFeeTrend fits one close per day', () => {
+  const rows = [
+    { date: '2026-10-14', Latest: '90%' },
+    { date: '2026-10-15T14:00:00Z', Latest: '100%' },
+    { date: '2026-10-15T19:00:00Z', Latest: '96%' }, // the 15th closes at 96
+    { date: '2026-10-16T13:30:00Z', Latest: '130%' },
+    { date: '2026-10-16T19:30:00Z', Latest: '102%' }
+  ];
+  const trend = borrowFeeTrend(rows);
+  assert.equal(trend.observations, 3);
+  assert.equal(trend.slope, 6); // 90 → 102 over two days
+  assert.equal(trend.acceleration, null);
+});
+
+test('scoreSensitivity moves inputs past the combination cap one at a time', () => {
+  const wide = {
+    ...input, os_shares: 9_000_000, dtc: 4, util_pct: 80, runway_months: 8,
+    cash_mcap_pct: 12, ctb_slope: 3, ctb_accel: 1, regsho: true,
+  };
+  const bands = Object.fromEntries(['float_shares', 'os_shares', 'si_pct', 'ctb', 'ftd_val', 'dtc', 'util_pct', 'runway_months', 'cash_mcap_pct', 'ctb_slope', 'ctb_accel'].map((field) => [field, 0.5]));
+  const result = scoreSensitivity(wide, { bands });
+  assert.ok(result.min <= result.score && result.score <= result.max);
+  for (const swing of Object.values(result.swings)) assert.ok(result.max - result.min >= swing);
+});
+
+test('scoreSensitivity labels inputs it has no display name for by their key', () => {
+  const result = scoreSensitivity(input, { bands: { custom: 0.2 }, alternates: { custom: [1, 2] } });
+  assert.equal(result.swings.custom, 0);
+  assert.ok(!('undefined' in result.swings));
+});
@@ -30,17 +30,25 @@
               <div class="shi-row"><span>Shares Outstanding:</span><span class="shi-shares-outstanding">—</span></div>
               <div class="shi-row"><span>Options Trading:</span><span class="shi-options-enabled">—</span></div>
               <div class="shi-row"><span>Reg SHO Threshold:</span><span class="shi-regsho-threshold">—</span></div>
+              <div class="shi-row"><span>Reg SHO Streak:</span><span class="shi-regsho-streak">—</span></div>
             </div>
             <div class="shi-section shi-short-info">
               <div class="shi-row"><span>Short Interest:</span><span class="shi-short-interest">—</span></div>
               <div class="shi-row"><span>Short Interest Ratio:</span><span class="shi-short-interest-ratio">—</span></div>
+              <div class="shi-row"><span>Short Interest Prior:</span><span class="shi-short-interest-prior">—</span></div>
               <div class="shi-row"><span>Short Float %:</span><span class="shi-short-interest-percent-float">—</span></div>
               <div class="shi-row"><span>Cost To Borrow:</span><span class="shi-cost-to-borrow">—</span></div>
               <div class="shi-row"><span>Squeeze Score:</span><span class="shi-squeeze-score">—</span></div>
+              <details class="shi-score-explain" hidden><summary>Why this score?</summary><div class="shi-score-explain-body"></div></details>
+              <div class="shi-row"><span>Score Trend (30d):</span><span class="shi-score-trend">—</span></div>
+              <div class="shi-row"><span>Score Rank:</span><span class="shi-score-rank">—</span></div>
+              <div class="shi-row"><span>Score Range:</span><span class="shi-score-range">—</span></div>
               <div class="shi-row"><span>Short Shares Available:</span><span class="shi-short-shares-available">—</span></div>
               <div class="shi-row"><span>Short-Exempt Volume:</span><span class="shi-finra-exempt-volume">—</span></div>
+              <div class="shi-row"><span>Short Volume Ratio:</span><span class="shi-short-volume-ratio">—</span></div>
               <div class="shi-row"><span>Failure To Deliver (FTDs):</span><span class="shi-failure-to-deliver">—</span></div>
               <div class="shi-row"><span>Reg SHO Min FTDs:</span><span class="shi-regsho-min-ftds">—</span></div>
+              <div class="shi-row"><span>Reg SHO Forecast:</span><span class="shi-regsho-forecast">—</span></div>
             </div>
             <div class="shi-section shi-financial-info">
               <div class="shi-row"><span>Market Cap:</span><span class="shi-market-cap">—</span></div>
@@ -68,6 +76,326 @@
     return el;
   }
 
+  // Renderers below fill a tooltip built by createTooltipElement from a pack; the
+  // hover tooltip (content.js) and the popup (popup.js) both use them.
+
+  // Score text, how many inputs it rests on when some are unknown, and a muted
+  // tag naming the scoring profile that produced it
+  function renderSqueezeScore(target, text, profile, completeness) {
+    target.textContent = text;
+    const notes = [];
+    if (completeness && completeness.known < completeness.total) {
+      const inputs = document.createElement('span');
+      inputs.className = 'shi-score-inputs';
+      inputs.textContent = ` (${completeness.known} of ${completeness.total} inputs)`;
+      target.appendChild(inputs);
+      notes.push(`Unknown: ${completeness.missing.join(', ')}`);
+    }
+    if (profile && profile.name) {
+      const tag = document.createElement('span');
+      tag.className = 'shi-score-profile';
+      tag.textContent = profile.name;
+      target.appendChild(tag);
+      notes.unshift(`Scored with the "${profile.name}" profile`);
+    }
+    if (notes.length) target.title = notes.join('\n');
+    else target.removeAttribute('title');
+  }
+
+  // Inline SVG sparkline for a short numeric series
+  function buildSparkline(values, width = 90, height = 18) {
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('class', 'shi-sparkline');
+    svg.setAttribute('width', String(width));
+    svg.setAttribute('height', String(height));
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    const range = max - min || 1;
+    const series = values.length > 1 ? values : [values[0], values[0]];
+    const step = width / (series.length - 1);
+    const points = series.map((v, i) => {
+      const x = i * step;
+      const y = height - 1 - ((v - min) / range) * (height - 2);
+      return `${x.toFixed(1)},${y.toFixed(1)}`;
+    });
+    const line = document.createElementNS(ns, 'polyline');
+    line.setAttribute('points', points.join(' '));
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', 'currentColor');
+    line.setAttribute('stroke-width', '1.5');
+    svg.appendChild(line);
+    return svg;
+  }
+
+  // "70–88 · most sensitive to CTB" from scoreSensitivity()
+  function renderScoreRange(root, sensitivity) {
+    const target = root?.querySelector('.shi-score-range');
+    if (!target) return;
+    target.removeAttribute('title');
+    if (!sensitivity) {
+      target.textContent = 'N/A';
+      return;
+    }
+    const range = `${sensitivity.min}–${sensitivity.max}`;
+    target.textContent = sensitivity.mostSensitive ? `${range} · most sensitive to ${sensitivity.mostSensitive}` : range;
+    const swings = Object.entries(sensitivity.swings || {}).map(([label, swing]) => `${label}: moves the score by up to ${swing} points`);
+    target.title = [`Median ${sensitivity.median} across perturbed inputs`, ...swings].join('\n');
+  }
+
+  // Ordinal suffix for percentiles: 1st, 2nd, 3rd, 11th, 94th
+  function formatOrdinal(n) {
+    const mod100 = n % 100;
+    if (mod100 >= 11 && mod100 <= 13) return `${n}th`;
+    return `${n}${({ 1: 'st', 2: 'nd', 3: 'rd' })[n % 10] || 'th'}`;
+  }
+
+  // "94th pct of 212 tracked · 80th of 15 on Reg SHO" from the pack's scoreRank
+  function renderScoreRank(root, rank) {
+    const target = root?.querySelector('.shi-score-rank');
+    if (!target) return;
+    target.removeAttribute('title');
+    if (!rank || !rank.watchlist || rank.watchlist.percentile == null) {
+      target.textContent = 'N/A';
+      return;
+    }
+    const parts = [`${formatOrdinal(rank.watchlist.percentile)} pct of ${rank.watchlist.count} tracked`];
+    const title = [`Stored fields score ${rank.score}, in the ${formatOrdinal(rank.watchlist.percentile)} percentile of ${rank.watchlist.count} tracked tickers`];
+    if (rank.regSho && rank.regSho.percentile != null) {
+      parts.push(`${formatOrdinal(rank.regSho.percentile)} of ${rank.regSho.count} on Reg SHO`);
+      title.push(`${formatOrdinal(rank.regSho.percentile)} percentile of ${rank.regSho.count} tracked names on the ${rank.regSho.date} threshold list`);
+    }
+    target.textContent = parts.join(' · ');
+    target.title = title.join('\n');
+  }
+
+  // "8 days · added 2026-10-07 · close-out 2026-10-23" from the pack's regShoStreak
+  function renderRegShoStreak(root, streak) {
+    const target = root?.querySelector('.shi-regsho-streak');
+    if (!target) return;
+    target.removeAttribute('title');
+    target.classList.remove('shi-regsho-removed');
+    if (!streak) {
+      target.textContent = 'N/A';
+      return;
+    }
+    if (streak.onList) {
+      const days = `${streak.days}${streak.complete ? '' : '+'} day${streak.days === 1 ? '' : 's'}`;
+      target.textContent = streak.complete
+        ? `${days} · added ${streak.addedDate} · close-out ${streak.closeOutDate}`
+        : `${days} · close-out passed`;
+    } else if (streak.recentlyRemoved) {
+      target.textContent = `Removed ${streak.removedDate}`;
+      target.classList.add('shi-regsho-removed');
+    } else {
+      target.textContent = 'Not on list';
+    }
+    const runs = (Array.isArray(streak.runs) ? streak.runs : [])
+      .map(run => `${run.added || '?'} → ${run.removed ? `removed ${run.removed}` : `on through ${run.through}`}`);
+    target.title = [`As of the ${streak.date} threshold lists`, ...runs].join('\n');
+  }
+
+  // "On threshold list" / "Met the test on 2026-10-14" / "Likely to appear on threshold
+  // list on 2026-10-21" / "3 of 5 qualifying days met", with the FTD data date, from
+  // the pack's regShoForecast and regShoThreshold. SEC FTD files lag by weeks, so a
+  // listing date on or before today is reported as the test having been met.
+  function renderRegShoForecast(root, forecast, onList) {
+    const target = root?.querySelector('.shi-regsho-forecast');
+    if (!target) return;
+    target.removeAttribute('title');
+    if (!forecast) {
+      target.textContent = onList === true ? 'On threshold list' : 'N/A';
+      return;
+    }
+    const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/New_York' }); // YYYY-MM-DD
+    let status;
+    if (onList === true) {
+      status = forecast.qualified ? `On threshold list (met the test on ${forecast.metDate})` : 'On threshold list';
+    } else if (forecast.qualified && forecast.listDate > today) {
+      status = `Likely to appear on threshold list on ${forecast.listDate}`;
+    } else if (forecast.qualified) {
+      status = `Met the test on ${forecast.metDate}${onList === false ? ', not on list' : ''}`;
+    } else {
+      status = `${forecast.qualifyingDays} of ${forecast.required} qualifying days met`;
+    }
+    target.textContent = `${status} · FTDs as of ${forecast.asOf}`;
+    const title = [
+      `FTDs ≥ ${forecast.minShares.toLocaleString()} shares (10,000 and 0.5% of shares outstanding) for ${forecast.required} consecutive settlement days`,
+      `As of ${forecast.asOf}: ${forecast.consecutiveDays} consecutive qualifying day${forecast.consecutiveDays === 1 ? '' : 's'}`
+    ];
+    if (!forecast.qualified && forecast.earliestListDate > today) title.push(`Earliest listing if every day qualifies: ${forecast.earliestListDate}`);
+    (forecast.recent || []).forEach(day => {
+      title.push(`${day.date}: ${Math.round(day.quantity).toLocaleString()}${day.qualifies ? ' ✓' : ''}`);
+    });
+    target.title = title.join('\n');
+  }
+
+  // Tooltip value cell -> pack field whose provenance its hover title shows
+  const PROVENANCE_FIELDS = {
+    '.shi-float': 'float',
+    '.shi-shares-outstanding': 'sharesOutstanding',
+    '.shi-market-cap': 'marketCap',
+    '.shi-est-cash': 'estimatedCash',
+    '.shi-est-net-cash': 'estimatedNetCashPerShare',
+    '.shi-institutional-ownership': 'institutionalOwnership',
+    '.shi-enterprise-value': 'enterpriseValue',
+    '.shi-short-interest': 'shortInterest',
+    '.shi-short-interest-ratio': 'shortInterestRatio',
+    '.shi-short-interest-prior': 'shortInterestPrevious',
+    '.shi-short-interest-percent-float': 'shortInterestPercentFloat',
+    '.shi-cost-to-borrow': 'costToBorrow',
+    '.shi-short-shares-available': 'shortSharesAvailable',
+    '.shi-finra-exempt-volume': 'finraExemptVolume',
+    '.shi-short-volume-ratio': 'shortVolumeRatio',
+    '.shi-failure-to-deliver': 'failureToDeliver',
+    '.shi-regsho-min-ftds': 'regShoMinFtds',
+    '.shi-options-enabled': 'optionsTradingEnabled',
+    '.shi-regsho-threshold': 'regShoThreshold',
+    '.shi-country': 'country',
+    '.shi-sector': 'sector',
+    '.shi-industry': 'industry',
+    '.shi-exchange': 'exchange',
+    '.shi-last-data-update': 'lastDataUpdate'
+  };
+
+  // "Source: fintel / Observed: 10/19/2026, 9:30:00 AM (2h ago) / URL: ..." for one
+  // pack.provenance entry
+  function describeProvenance(from) {
+    if (!from) return [];
+    const lines = [`Source: ${from.source}`];
+    if (Number.isFinite(from.observedAt)) {
+      lines.push(`Observed: ${new Date(from.observedAt).toLocaleString()} (${formatAge(Date.now() - from.observedAt)} ago)`);
+    }
+    if (from.asOf) lines.push(`As of: ${from.asOf}`);
+    if (Array.isArray(from.inputs) && from.inputs.length) lines.push(`Derived from: ${from.inputs.join(', ')}`);
+    if (from.url) lines.push(`URL: ${from.url}`);
+    return lines;
+  }
+
+  function formatAge(ms) {
+    const minutes = Math.max(0, Math.round(ms / 60000));
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.round(minutes / 60);
+    if (hours < 48) return `${hours}h`;
+    return `${Math.round(hours / 24)}d`;
+  }
+
+  // "Stale: 4 trading days old (max 1)" for a pack.staleFields entry, and whether
+  // the profile still scores it (pack.staleInputsScored)
+  function describeStaleness(stale, scored) {
+    if (!stale) return [];
+    const age = `${stale.ageDays} trading day${stale.ageDays === 1 ? '' : 's'} old (max ${stale.maxAgeDays})`;
+    const lines = [stale.via ? `Stale: ${stale.via} is ${age}` : `Stale: ${age}`];
+    if (!scored) lines.push('Not used in the squeeze score');
+    return lines;
+  }
+
+  // Hover titles with each value's source, observation time and URL; values past
+  // their profile max age are dimmed and badged
+  function renderProvenance(root, provenance, staleFields, staleInputsScored) {
+    if (!root) return;
+    Object.entries(PROVENANCE_FIELDS).forEach(([selector, field]) => {
+      const target = root.querySelector(selector);
+      if (!target) return;
+      const stale = staleFields?.[field];
+      target.classList.toggle('shi-stale', !!stale);
+      const lines = [...describeStaleness(stale, staleInputsScored), ...describeProvenance(provenance?.[field])];
+      if (lines.length) target.title = lines.join('\n');
+      else target.removeAttribute('title');
+    });
+  }
+
+  // Sparkline of the recorded daily scores plus the change vs. the prior recorded day
+  function renderScoreTrend(root, history) {
+    const target = root?.querySelector('.shi-score-trend');
+    if (!target) return;
+    target.innerHTML = '';
+    target.removeAttribute('title');
+    const points = Array.isArray(history) ? history.filter(h => h && Number.isFinite(h.score)) : [];
+    if (!points.length) {
+      target.textContent = 'N/A';
+      return;
+    }
+
+    target.appendChild(buildSparkline(points.map(p => p.score)));
+    const delta = document.createElement('span');
+    delta.className = 'shi-score-delta';
+    if (points.length >= 2) {
+      const diff = Math.round((points[points.length - 1].score - points[points.length - 2].score) * 10) / 10;
+      delta.textContent = `${diff > 0 ? '+' : ''}${diff} d/d`;
+      delta.classList.add(diff > 0 ? 'up' : diff < 0 ? 'down' : 'flat');
+    } else {
+      delta.textContent = 'first day';
+      delta.classList.add('flat');
+    }
+    target.appendChild(delta);
+    target.title = points.map(p => `${p.date}: ${p.score}`).join('\n');
+  }
+
+  function formatScorePoints(value) {
+    const num = Number(value) || 0;
+    return num > 0 ? `+${num}` : String(num);
+  }
+
+  // Fill the collapsible "Why this score?" panel from explainScore() output
+  function renderScoreExplanation(root, explanation) {
+    const panel = root?.querySelector('.shi-score-explain');
+    const body = panel?.querySelector('.shi-score-explain-body');
+    if (!panel || !body) return;
+    body.innerHTML = '';
+    if (!explanation) {
+      panel.hidden = true;
+      panel.open = false;
+      return;
+    }
+
+    const addRow = (label, value, className) => {
+      const row = document.createElement('div');
+      row.className = className ? `shi-row ${className}` : 'shi-row';
+      const labelEl = document.createElement('span');
+      labelEl.textContent = label;
+      const valueEl = document.createElement('span');
+      valueEl.textContent = value;
+      row.appendChild(labelEl);
+      row.appendChild(valueEl);
+      body.appendChild(row);
+    };
+
+    ['Float', 'CTB', 'SI%'].forEach(key => addRow(key, formatScorePoints(explanation[key])));
+    addRow('Bonuses', formatScorePoints(explanation.Bonuses));
+    (explanation.bonuses || []).forEach(b => addRow(b.rule, formatScorePoints(b.points), 'shi-score-sub'));
+    addRow('FTD', formatScorePoints(explanation.FTD));
+    addRow('RegSHO', formatScorePoints(explanation.RegSHO));
+    addRow('Days to Cover', formatScorePoints(explanation.DTC));
+    addRow('Utilization', formatScorePoints(explanation.Utilization));
+    addRow('CTB Trend', formatScorePoints(explanation['CTB Trend']));
+    if (explanation['Dilution Risk']) {
+      addRow('Dilution Risk', formatScorePoints(explanation['Dilution Risk']), 'shi-score-penalty');
+    }
+    (explanation.guardrails || []).forEach(g => {
+      addRow(`Guardrail (${g.model}): ${g.rule}`, g.lifted ? `min ${g.min} (applied)` : `min ${g.min}`, 'shi-score-sub');
+    });
+    const multipliers = Object.entries(explanation.multipliers || {}).map(([k, v]) => `${k} ×${v}`).join(' · ');
+    addRow('Multipliers', multipliers);
+    addRow('Additive / Multiplicative', `${explanation['Additive Total']} / ${explanation['Multiplicative Total']}`);
+    Object.entries(explanation.formulas || {}).forEach(([name, value]) => addRow(name, value == null ? 'N/A' : String(value)));
+    if (explanation.missing && explanation.missing.length) {
+      addRow('Unknown (not scored)', explanation.missing.join(', '), 'shi-score-missing');
+    }
+    panel.hidden = false;
+  }
+
   global.QSETooltipTemplate = global.QSETooltipTemplate || {};
   global.QSETooltipTemplate.createTooltipElement = createTooltipElement;
+  global.QSETooltipTemplate.renderSqueezeScore = renderSqueezeScore;
+  global.QSETooltipTemplate.renderScoreRange = renderScoreRange;
+  global.QSETooltipTemplate.renderScoreRank = renderScoreRank;
+  global.QSETooltipTemplate.renderRegShoStreak = renderRegShoStreak;
+  global.QSETooltipTemplate.renderRegShoForecast = renderRegShoForecast;
+  global.QSETooltipTemplate.describeProvenance = describeProvenance;
+  global.QSETooltipTemplate.describeStaleness = describeStaleness;
+  global.QSETooltipTemplate.renderProvenance = renderProvenance;
+  global.QSETooltipTemplate.renderScoreTrend = renderScoreTrend;
+  global.QSETooltipTemplate.renderScoreExplanation = renderScoreExplanation;
 })(typeof window !== 'undefined' ? window : this);